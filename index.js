@@ -1,11 +1,12 @@
 // ESM entrypoint for the core
 import { createEleventyConfig } from './src/eleventy/config.js';
 
-export default function(eleventyConfig) {
+export default function(eleventyConfig, options = {}) {
   // Import complete configuration
-  const config = createEleventyConfig();
+  const config = createEleventyConfig(options);
   return config(eleventyConfig);
 }
 
 export { createEleventyConfig } from './src/eleventy/config.js';
-  
\ No newline at end of file
+export { defaultOptions, resolveOptions } from './src/eleventy/options.js';
+export { createMarkdownProcessor, markdownStages } from './src/eleventy/markdown.js';
@@ -0,0 +1,41 @@
+/**
+ * Quesby embeds client
+ * Dependency-free ES module that swaps an embed facade for the third-party
+ * iframe only after the visitor clicks play (or load). Nothing is requested
+ * from the provider before that.
+ */
+
+/**
+ * Replace a facade with its iframe
+ */
+export function activate(facade) {
+  const { embedSrc, embedTitle } = facade.dataset;
+  if (!embedSrc || facade.dataset.embedActive) return;
+
+  const iframe = document.createElement("iframe");
+  iframe.src = embedSrc;
+  iframe.title = embedTitle || "";
+  iframe.allow = "autoplay; encrypted-media; picture-in-picture; fullscreen";
+  iframe.allowFullscreen = true;
+  iframe.referrerPolicy = "strict-origin-when-cross-origin";
+
+  facade.dataset.embedActive = "true";
+  facade.querySelector("[data-embed-frame]").replaceChildren(iframe);
+  iframe.focus();
+}
+
+/**
+ * Activate facades on click (one listener for the whole page)
+ */
+export function mount(root = document) {
+  if (root.__quesbyEmbeds) return;
+  root.__quesbyEmbeds = true;
+  root.addEventListener("click", (event) => {
+    const button = event.target.closest?.("[data-embed-play]");
+    if (!button) return;
+    event.preventDefault();
+    activate(button.closest("[data-embed-src]"));
+  });
+}
+
+mount();
@@ -0,0 +1,191 @@
+/**
+ * Quesby search client
+ * Dependency-free ES module that queries the pre-built search index offline.
+ * The same tokenizer is used at build time, so queries and index always agree.
+ */
+
+// Positions in the compact document tuples of the index
+export const DOC_URL = 0;
+export const DOC_TITLE = 1;
+export const DOC_EXCERPT = 2;
+export const DOC_TYPE = 3;
+export const DOC_LOCALE = 4;
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "if", "in",
+  "into", "is", "it", "no", "not", "of", "on", "or", "such", "that", "the",
+  "their", "then", "there", "these", "they", "this", "to", "was", "will", "with",
+]);
+
+/**
+ * Light suffix-stripping stemmer (English oriented, conservative on short words)
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  const rules = [
+    [/ational$/, "ate"],
+    [/ization$/, "ize"],
+    [/fulness$/, "ful"],
+    [/iveness$/, "ive"],
+    [/ousness$/, "ous"],
+    [/ments?$/, ""],
+    [/nesses$/, ""],
+    [/ness$/, ""],
+    [/ies$/, "y"],
+    [/ied$/, "y"],
+    [/(ss)es$/, "$1"],
+    [/([^aeiou])ing$/, "$1"],
+    [/([^aeiou])ed$/, "$1"],
+    [/ly$/, ""],
+    [/([^s])s$/, "$1"],
+  ];
+
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(word)) {
+      const stemmed = word.replace(pattern, replacement);
+      return stemmed.length >= 3 ? stemmed : word;
+    }
+  }
+  return word;
+}
+
+/**
+ * Split text into normalized, stemmed search terms
+ */
+export function tokenize(text, { stemming = true } = {}) {
+  if (!text) return [];
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+    .map((token) => (stemming ? stem(token) : token));
+}
+
+/**
+ * Query a loaded index
+ * Documents matching every term rank first; the last term also matches as a prefix.
+ */
+export function search(index, query, { limit = 10, locale = null, type = null } = {}) {
+  const terms = Array.from(new Set(tokenize(query, { stemming: index.stemming })));
+  if (terms.length === 0) return [];
+
+  const total = index.docs.length;
+  const scores = new Map(); // doc -> { score, matched }
+  const termKeys = Object.keys(index.terms);
+
+  terms.forEach((term, position) => {
+    const isLast = position === terms.length - 1;
+    const keys = isLast ? termKeys.filter((key) => key.startsWith(term)) : (index.terms[term] ? [term] : []);
+    const matchedDocs = new Set();
+
+    for (const key of keys) {
+      const postings = index.terms[key];
+      const idf = Math.log(1 + total / (postings.length / 2));
+      // Prefix matches count a little less than exact ones
+      const boost = key === term ? 1 : 0.5;
+      for (let i = 0; i < postings.length; i += 2) {
+        const doc = postings[i];
+        const entry = scores.get(doc) || { score: 0, matched: 0 };
+        entry.score += postings[i + 1] * idf * boost;
+        if (!matchedDocs.has(doc)) {
+          matchedDocs.add(doc);
+          entry.matched++;
+        }
+        scores.set(doc, entry);
+      }
+    }
+  });
+
+  return Array.from(scores, ([doc, { score, matched }]) => ({ doc: index.docs[doc], score, matched }))
+    .filter(({ doc }) => (!locale || doc[DOC_LOCALE] === locale) && (!type || doc[DOC_TYPE] === type))
+    .sort((a, b) => b.matched - a.matched || b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score }) => ({
+      url: doc[DOC_URL],
+      title: doc[DOC_TITLE],
+      excerpt: doc[DOC_EXCERPT],
+      type: doc[DOC_TYPE],
+      locale: doc[DOC_LOCALE],
+      score,
+    }));
+}
+
+const indexCache = new Map();
+
+/**
+ * Fetch (once) and return the search index
+ */
+export function loadIndex(url) {
+  if (!indexCache.has(url)) {
+    indexCache.set(url, fetch(url).then((response) => {
+      if (!response.ok) throw new Error(`Search index not found: ${url}`);
+      return response.json();
+    }));
+  }
+  return indexCache.get(url);
+}
+
+/**
+ * Wire a search box rendered by the `searchBox` shortcode
+ */
+export function mount(root) {
+  if (!root) return;
+  const input = root.querySelector("input[type=search]");
+  const list = root.querySelector("[data-search-results]");
+  const status = root.querySelector("[data-search-status]");
+  const { searchIndex, searchLocale, searchLimit, searchEmpty } = root.dataset;
+  let timer = null;
+
+  const render = async () => {
+    const query = input.value.trim();
+    list.replaceChildren();
+    status.textContent = "";
+    if (!query) return;
+
+    let index;
+    try {
+      index = await loadIndex(searchIndex);
+    } catch (error) {
+      status.textContent = error.message;
+      return;
+    }
+
+    const results = search(index, query, {
+      limit: Number(searchLimit) || 10,
+      locale: searchLocale || null,
+    });
+
+    if (results.length === 0) {
+      status.textContent = searchEmpty || "No results";
+      return;
+    }
+
+    for (const result of results) {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = result.url;
+      link.textContent = result.title;
+      item.append(link);
+      if (result.excerpt) {
+        const excerpt = document.createElement("p");
+        excerpt.textContent = result.excerpt;
+        item.append(excerpt);
+      }
+      list.append(item);
+    }
+  };
+
+  // Load the index as soon as the user shows intent
+  input.addEventListener("focus", () => loadIndex(searchIndex).catch(() => {}), { once: true });
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(render, 120);
+  });
+  root.querySelector("form")?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    render();
+  });
+}
@@ -0,0 +1,310 @@
+import fs from "fs";
+import path from "node:path";
+import * as cheerio from "cheerio";
+import { escapeHtml } from "./utils/html.js";
+import { listOutputFiles, urlOfFile, fileOfUrl } from "./utils/output.js";
+import { REQUIRED_PROPERTIES, validateNode } from "./schema.js";
+
+/**
+ * SEO audit of the built site: checks the head and structured data of every page once
+ * Eleventy has written them, prints a summary and writes JSON / HTML reports
+ */
+
+// Rules and their default severity ("error", "warning" or "off"; overridden by audit.rules)
+export const AUDIT_RULES = {
+  "title-missing": "error",
+  "title-length": "warning",
+  "title-duplicate": "warning",
+  "description-missing": "warning",
+  "description-length": "warning",
+  "description-duplicate": "warning",
+  "canonical-missing": "warning",
+  "canonical-unresolved": "error",
+  "noindex-in-sitemap": "error",
+  "og-image-missing": "warning",
+  "jsonld-invalid": "error",
+  "jsonld-reference": "warning",
+};
+
+const REPORT_FORMATS = ["json", "html"];
+
+/**
+ * SEO data of a built page
+ */
+export function inspectPage(html) {
+  const $ = cheerio.load(html);
+  const meta = (selector) => ($(selector).first().attr("content") || "").trim() || null;
+  return {
+    title: $("head title").first().text().trim() || null,
+    description: meta('meta[name="description"]'),
+    canonical: ($('link[rel="canonical"]').first().attr("href") || "").trim() || null,
+    ogUrl: meta('meta[property="og:url"]'),
+    ogImage: meta('meta[property="og:image"]'),
+    noindex: /noindex/i.test(meta('meta[name="robots"]') || ""),
+    redirect: $('meta[http-equiv="refresh" i]').length > 0,
+    jsonLd: $('script[type="application/ld+json"]').map((i, element) => $(element).html()).get(),
+  };
+}
+
+/**
+ * Problems of a JSON-LD script: [{ rule, message }]
+ */
+export function checkJsonLd(text, required = REQUIRED_PROPERTIES) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return [{ rule: "jsonld-invalid", message: `JSON-LD does not parse: ${error.message}` }];
+  }
+
+  const problems = [];
+  for (const item of Array.isArray(data) ? data : [data]) {
+    if (!item || typeof item !== "object") {
+      problems.push({ rule: "jsonld-invalid", message: "JSON-LD is not an object" });
+      continue;
+    }
+    if (!item["@context"]) problems.push({ rule: "jsonld-invalid", message: "JSON-LD has no @context" });
+
+    const nodes = Array.isArray(item["@graph"]) ? item["@graph"] : [item];
+    const ids = new Set(nodes.map((node) => node?.["@id"]).filter(Boolean));
+    nodes.forEach((node, i) => {
+      const label = node?.["@id"] || `node ${i}`;
+      if (!node?.["@type"]) problems.push({ rule: "jsonld-invalid", message: `${label} has no @type` });
+      for (const problem of validateNode(node, required, label)) {
+        problems.push({ rule: "jsonld-invalid", message: problem });
+      }
+    });
+
+    // References ({ "@id": ... } alone) to nodes the graph doesn't define
+    const visit = (value) => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (!value || typeof value !== "object") return;
+      const keys = Object.keys(value);
+      if (keys.length === 1 && keys[0] === "@id" && !ids.has(value["@id"])) {
+        problems.push({ rule: "jsonld-reference", message: `Reference to an undefined node: ${value["@id"]}` });
+      }
+      Object.values(value).forEach(visit);
+    };
+    nodes.forEach(visit);
+  }
+  return problems;
+}
+
+/**
+ * Paths of the URLs listed in the sitemap (following a sitemap index)
+ */
+function sitemapPaths(outputDir, sitemapPath, seen = new Set()) {
+  const paths = new Set();
+  const file = fileOfUrl(outputDir, sitemapPath);
+  if (!file || seen.has(file)) return paths;
+  seen.add(file);
+
+  const xml = fs.readFileSync(file, "utf8");
+  const locs = Array.from(xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g), (match) => match[1].replace(/&amp;/g, "&"));
+  for (const loc of locs) {
+    const pathname = new URL(loc, "http://localhost").pathname;
+    if (xml.includes("<sitemapindex")) {
+      sitemapPaths(outputDir, pathname, seen).forEach((item) => paths.add(item));
+    } else {
+      paths.add(pathname);
+    }
+  }
+  return paths;
+}
+
+function lengthIssue(name, text, { min, max }) {
+  const length = Array.from(text).length;
+  if (length < min) return `${name} is too short (${length} characters, at least ${min})`;
+  if (length > max) return `${name} is too long (${length} characters, at most ${max})`;
+  return null;
+}
+
+/**
+ * Audit the HTML pages of the output folder
+ * Returns { pages, issues: [{ url, rule, severity, message }] }
+ */
+export function auditSite(outputDir, settings, { sitemapPath = null, required = {} } = {}) {
+  const rules = { ...AUDIT_RULES, ...settings.rules };
+  const schemaRequired = { ...REQUIRED_PROPERTIES, ...required };
+  const issues = [];
+  const report = (url, rule, message) => {
+    if (rules[rule] && rules[rule] !== "off") issues.push({ url, rule, severity: rules[rule], message });
+  };
+
+  const pages = listOutputFiles(outputDir)
+    .map((file) => ({ url: urlOfFile(outputDir, file), ...inspectPage(fs.readFileSync(file, "utf8")) }))
+    .filter((page) => !page.redirect && !settings.ignore.some((prefix) => page.url.startsWith(prefix)));
+  const inSitemap = sitemapPath ? sitemapPaths(outputDir, sitemapPath) : new Set();
+  const titles = new Map();
+  const descriptions = new Map();
+
+  for (const page of pages) {
+    if (!page.title) {
+      report(page.url, "title-missing", "No <title>");
+    } else {
+      const issue = lengthIssue("Title", page.title, settings.title);
+      if (issue) report(page.url, "title-length", issue);
+    }
+    if (!page.description) {
+      report(page.url, "description-missing", "No meta description");
+    } else {
+      const issue = lengthIssue("Description", page.description, settings.description);
+      if (issue) report(page.url, "description-length", issue);
+    }
+
+    if (page.canonical) {
+      const canonical = new URL(page.canonical, `http://localhost${page.url}`);
+      // Canonical URLs on another site are not checked
+      const siteOrigin = page.ogUrl ? new URL(page.ogUrl, canonical).origin : canonical.origin;
+      if (canonical.origin === siteOrigin && !fileOfUrl(outputDir, canonical.pathname)) {
+        report(page.url, "canonical-unresolved", `Canonical URL is not a built page: ${page.canonical}`);
+      }
+    } else if (!page.noindex) {
+      report(page.url, "canonical-missing", "No canonical link");
+    }
+
+    if (page.noindex) {
+      if (inSitemap.has(page.url)) report(page.url, "noindex-in-sitemap", "noindex page listed in the sitemap");
+      continue;
+    }
+
+    if (!page.ogImage) report(page.url, "og-image-missing", "No og:image");
+    for (const script of page.jsonLd) {
+      for (const problem of checkJsonLd(script, schemaRequired)) report(page.url, problem.rule, problem.message);
+    }
+    if (page.title) titles.set(page.title, [...(titles.get(page.title) || []), page.url]);
+    if (page.description) descriptions.set(page.description, [...(descriptions.get(page.description) || []), page.url]);
+  }
+
+  // Duplicates among indexed pages
+  for (const [rule, name, groups] of [["title-duplicate", "Title", titles], ["description-duplicate", "Description", descriptions]]) {
+    for (const urls of groups.values()) {
+      if (urls.length < 2) continue;
+      for (const url of urls) {
+        const others = urls.filter((other) => other !== url);
+        const more = others.length > 3 ? ` and ${others.length - 3} more` : "";
+        report(url, rule, `${name} also used by ${others.slice(0, 3).join(", ")}${more}`);
+      }
+    }
+  }
+
+  const order = new Map(pages.map((page, i) => [page.url, i]));
+  issues.sort((a, b) => order.get(a.url) - order.get(b.url) || a.rule.localeCompare(b.rule));
+  return { pages: pages.length, issues };
+}
+
+function summarize(result) {
+  const errors = result.issues.filter((issue) => issue.severity === "error").length;
+  const rules = {};
+  for (const issue of result.issues) rules[issue.rule] = (rules[issue.rule] || 0) + 1;
+  return { pages: result.pages, errors, warnings: result.issues.length - errors, rules };
+}
+
+/**
+ * Console summary of an audit
+ */
+export function formatAudit(result) {
+  const summary = summarize(result);
+  const lines = result.issues.map((issue) =>
+    `${issue.url}  ${issue.severity === "error" ? "❌ error  " : "⚠️  warning"}  ${issue.message}  (${issue.rule})`
+  );
+  lines.push(`${summary.pages} page(s), ${summary.errors} error(s), ${summary.warnings} warning(s)`);
+  return lines.join("\n");
+}
+
+/**
+ * Standalone HTML report of an audit
+ */
+export function renderAuditHtml(result, generatedAt) {
+  const summary = summarize(result);
+  const rows = result.issues.map((issue) => [
+    `    <tr class="${issue.severity}">`,
+    `      <td><a href="${escapeHtml(issue.url)}">${escapeHtml(issue.url)}</a></td>`,
+    `      <td>${issue.severity}</td>`,
+    `      <td><code>${escapeHtml(issue.rule)}</code></td>`,
+    `      <td>${escapeHtml(issue.message)}</td>`,
+    `    </tr>`,
+  ].join("\n"));
+  const rules = Object.entries(summary.rules)
+    .map(([rule, count]) => `<li><code>${escapeHtml(rule)}</code>: ${count}</li>`)
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>SEO audit</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1e293b; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: .4rem .6rem; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  tr.error td:nth-child(2) { color: #b91c1c; font-weight: 600; }
+  tr.warning td:nth-child(2) { color: #a16207; }
+</style>
+</head>
+<body>
+<h1>SEO audit</h1>
+<p>${escapeHtml(generatedAt)}: ${summary.pages} pages, ${summary.errors} errors, ${summary.warnings} warnings</p>
+${rules ? `<ul>${rules}</ul>` : "<p>No issues found.</p>"}
+<table>
+  <thead><tr><th>Page</th><th>Severity</th><th>Rule</th><th>Issue</th></tr></thead>
+  <tbody>
+${rows.join("\n")}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Audit the site after each build; `maxErrors` / `maxWarnings` fail the build
+ */
+export function register(eleventyConfig, options) {
+  const settings = options.audit;
+  for (const [rule, severity] of Object.entries(settings.rules)) {
+    if (!AUDIT_RULES[rule]) {
+      throw new Error(`❌ Unknown SEO audit rule "${rule}": expected one of ${Object.keys(AUDIT_RULES).join(", ")}`);
+    }
+    if (!["error", "warning", "off"].includes(severity)) {
+      throw new Error(`❌ Invalid severity "${severity}" for SEO audit rule "${rule}": expected error, warning or off`);
+    }
+  }
+  const formats = settings.formats.filter((format) => {
+    if (REPORT_FORMATS.includes(format)) return true;
+    throw new Error(`❌ Invalid SEO audit report format "${format}": expected one of ${REPORT_FORMATS.join(", ")}`);
+  });
+
+  eleventyConfig.on("eleventy.after", ({ dir, runMode }) => {
+    // Rebuilds while serving only write part of the site
+    if (runMode !== "build") return;
+
+    const result = auditSite(dir.output, settings, {
+      sitemapPath: options.features.sitemap ? options.sitemap.path : null,
+      required: options.schema.required,
+    });
+    console.log(`[📋] SEO audit:\n${formatAudit(result)}`);
+
+    const summary = summarize(result);
+    const generatedAt = new Date().toISOString();
+    if (formats.length > 0) fs.mkdirSync(settings.reportDir, { recursive: true });
+    if (formats.includes("json")) {
+      const report = { generatedAt, ...summary, issues: result.issues };
+      fs.writeFileSync(path.join(settings.reportDir, "seo-audit.json"), `${JSON.stringify(report, null, 2)}\n`);
+    }
+    if (formats.includes("html")) {
+      fs.writeFileSync(path.join(settings.reportDir, "seo-audit.html"), renderAuditHtml(result, generatedAt));
+    }
+
+    const failures = [];
+    if (settings.maxErrors !== null && summary.errors > settings.maxErrors) {
+      failures.push(`${summary.errors} error(s) (audit.maxErrors is ${settings.maxErrors})`);
+    }
+    if (settings.maxWarnings !== null && summary.warnings > settings.maxWarnings) {
+      failures.push(`${summary.warnings} warning(s) (audit.maxWarnings is ${settings.maxWarnings})`);
+    }
+    if (failures.length > 0) {
+      throw new Error(`❌ SEO audit failed with ${failures.join(" and ")}`);
+    }
+  });
+}
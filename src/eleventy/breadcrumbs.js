@@ -0,0 +1,140 @@
+import { escapeHtml } from "./utils/html.js";
+import { absoluteUrl } from "./utils/url.js";
+
+/**
+ * Breadcrumb trails: home → blog → tag → post, home → documentation → section → page,
+ * and the URL hierarchy for every other page. Exposed as `breadcrumbs` data
+ * ([{ title, url }], the page itself last) and as BreadcrumbList JSON-LD.
+ */
+
+// Tags shared by every post make no useful crumb
+const TAGS_EXCLUDE = new Set(["all", "nav", "post", "posts", "blog"]);
+
+const pagesByUrlCache = new WeakMap();
+
+/**
+ * url -> page of every page in `collections.all`
+ */
+function pagesByUrl(all) {
+  if (!Array.isArray(all)) return new Map();
+  if (!pagesByUrlCache.has(all)) {
+    pagesByUrlCache.set(all, new Map(all.filter((item) => item.url).map((item) => [item.url, item])));
+  }
+  return pagesByUrlCache.get(all);
+}
+
+function titleOf(page, fallback) {
+  return page?.data?.title || fallback;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function humanize(segment) {
+  const text = decodeSegment(segment).replace(/[-_]+/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Trail of a page, from the home page of its locale (`homeUrl`) to the page itself
+ */
+export function breadcrumbTrail(data, settings, { contentType, homeUrl, slugify }) {
+  // Collections are read before anything else so Eleventy resolves this after building them
+  const { all, documentation, documentationByLocale } = data.collections || {};
+  const url = data.page?.url;
+  if (!url) return [];
+
+  const pages = pagesByUrl(all);
+  const crumb = (crumbUrl, fallback) => ({ title: titleOf(pages.get(crumbUrl), fallback), url: crumbUrl });
+  const trail = [crumb(homeUrl, settings.homeLabel)];
+  const self = { title: data.title || humanize(url.split("/").filter(Boolean).pop() || ""), url };
+  if (url === homeUrl) return trail;
+
+  if (contentType === "posts") {
+    trail.push(crumb(`${homeUrl}blog/`, settings.blogLabel));
+    const tags = (Array.isArray(data.tags) ? data.tags : data.tags ? [data.tags] : []).filter((tag) => !TAGS_EXCLUDE.has(tag));
+    const slug = settings.tags && tags.length > 0 ? slugify(String(tags[0])) : null;
+    // `tagPath` is relative to the locale's home page; the crumb needs a page the site generates
+    const tagUrl = slug ? `${homeUrl}${settings.tagPath.replace("{slug}", slug).replace(/^\//, "")}` : null;
+    if (tagUrl && pages.has(tagUrl)) {
+      trail.push({ title: String(tags[0]), url: tagUrl });
+    }
+  } else if (contentType === "documentation") {
+    const docsUrl = `${homeUrl}documentation/`;
+    trail.push(crumb(docsUrl, settings.documentationLabel));
+    // A section links to its first page in documentation order
+    if (data.section) {
+      const docs = documentationByLocale?.[data.locale] || documentation || [];
+      const first = docs.find((doc) => doc.data.section === data.section);
+      trail.push({ title: String(data.section), url: first && first.url !== url ? first.url : null });
+    }
+  } else {
+    // Every existing page along the URL
+    const segments = url.slice(homeUrl.length).split("/").filter(Boolean);
+    for (let i = 1; i < segments.length; i++) {
+      const parentUrl = `${homeUrl}${segments.slice(0, i).join("/")}/`;
+      if (pages.has(parentUrl)) trail.push(crumb(parentUrl, humanize(segments[i - 1])));
+    }
+  }
+
+  trail.push(self);
+  return trail;
+}
+
+/**
+ * BreadcrumbList node of the structured data graph (null for trails shorter than two items)
+ */
+export function breadcrumbListSchema(trail, siteUrl, id) {
+  if (!Array.isArray(trail) || trail.length < 2) return null;
+  return {
+    "@type": "BreadcrumbList",
+    "@id": id,
+    itemListElement: trail.map((item, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      name: item.title,
+      // Crumbs without a page (a section without pages) are plain labels
+      ...(item.url ? { item: absoluteUrl(item.url, siteUrl) } : {}),
+    })),
+  };
+}
+
+/**
+ * Visible breadcrumbs: <nav><ol> with the current page marked aria-current
+ */
+export function breadcrumbsHtml(trail, label = "Breadcrumb") {
+  if (!Array.isArray(trail) || trail.length < 2) return "";
+  const items = trail.map((item, i) => {
+    const current = i === trail.length - 1;
+    const text = escapeHtml(item.title);
+    if (current) return `    <li aria-current="page">${text}</li>`;
+    return item.url ? `    <li><a href="${escapeHtml(item.url)}">${text}</a></li>` : `    <li>${text}</li>`;
+  });
+  return `<nav class="breadcrumbs" aria-label="${escapeHtml(label)}">\n  <ol>\n${items.join("\n")}\n  </ol>\n</nav>`;
+}
+
+/**
+ * Computed data: `breadcrumbs`
+ */
+export function breadcrumbComputedData(settings, context) {
+  return {
+    breadcrumbs: (data) => breadcrumbTrail(data, settings, {
+      contentType: context.contentType(data.page?.inputPath),
+      homeUrl: context.homeUrl(data),
+      slugify: context.slugify,
+    }),
+  };
+}
+
+/**
+ * Register the `breadcrumbsHtml` filter
+ */
+export function register(eleventyConfig) {
+  // Usage: {{ breadcrumbs | breadcrumbsHtml | safe }}
+  eleventyConfig.addFilter("breadcrumbsHtml", (trail, label) => breadcrumbsHtml(trail, label));
+}
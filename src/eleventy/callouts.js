@@ -0,0 +1,233 @@
+/**
+ * Callouts: `:::warning Title ... :::` container blocks and GitHub-style
+ * `> [!NOTE]` alerts, rendered as classed <aside> elements.
+ *
+ *   :::tip Keep it short       plain callout with a custom title
+ *   :::danger- Details         collapsible, collapsed by default
+ *   :::note+                   collapsible, open by default
+ */
+
+export const DEFAULT_TITLES = {
+  note: "Note",
+  info: "Info",
+  tip: "Tip",
+  important: "Important",
+  warning: "Warning",
+  caution: "Caution",
+  danger: "Danger",
+};
+
+// Icon paths (24×24, stroked)
+const ICONS = {
+  note: ["M12 22a10 10 0 1 0 0-20 10 10 0 0 0 0 20z", "M12 16v-4", "M12 8h.01"],
+  tip: ["M9 18h6", "M10 22h4", "M12 2a7 7 0 0 0-4 12.7V17h8v-2.3A7 7 0 0 0 12 2z"],
+  important: ["M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z", "M12 7v4", "M12 14h.01"],
+  warning: ["M10.3 3.9 1.8 18a2 2 0 0 0 1.7 3h17a2 2 0 0 0 1.7-3L13.7 3.9a2 2 0 0 0-3.4 0z", "M12 9v4", "M12 17h.01"],
+  danger: ["M7.9 2h8.2L22 7.9v8.2L16.1 22H7.9L2 16.1V7.9z", "M12 8v4", "M12 16h.01"],
+};
+ICONS.info = ICONS.note;
+ICONS.caution = ICONS.warning;
+
+const OPENER = /^:::([a-z]\w*(?:-\w+)*)([+-])?(?:[ \t]+|(?=\n)|$)/i;
+const CLOSER = /(?:^|\n):::[ \t]*$/;
+const ALERT = /^\[!([a-z]+)\]([+-])?(?:[ \t]+|(?=\n)|$)/i;
+
+function iconNode(type) {
+  const paths = Object.hasOwn(ICONS, type) ? ICONS[type] : ICONS.note;
+  return {
+    type: "element",
+    tagName: "svg",
+    properties: {
+      viewBox: "0 0 24 24", width: "20", height: "20", fill: "none", stroke: "currentColor",
+      strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round", ariaHidden: "true", focusable: "false",
+    },
+    children: paths.map((d) => ({ type: "element", tagName: "path", properties: { d }, children: [] })),
+  };
+}
+
+/**
+ * Title of a callout type, or null for unknown types ("constructor" is not a type)
+ */
+function calloutTitle(settings, type) {
+  return type && Object.hasOwn(settings.titles, type) ? settings.titles[type] : null;
+}
+
+/**
+ * mdast node rendered as the callout <aside> (mdast-util-to-hast honours data.hName)
+ */
+function calloutNode(type, marker, titleNodes, settings) {
+  const collapsible = marker === "+" || marker === "-";
+  const title = titleNodes.length > 0 ? titleNodes : [{ type: "text", value: calloutTitle(settings, type) }];
+  const heading = {
+    type: "calloutTitle",
+    data: { hName: collapsible ? "summary" : "p", hProperties: { className: ["callout-title"] } },
+    children: [
+      ...(settings.icons
+        ? [{ type: "calloutIcon", data: { hName: "span", hProperties: { className: ["callout-icon"], ariaHidden: "true" }, hChildren: [iconNode(type)] } }]
+        : []),
+      { type: "calloutLabel", data: { hName: "span" }, children: title },
+    ],
+  };
+  const content = { type: "calloutContent", data: { hName: "div", hProperties: { className: ["callout-content"] } }, children: [] };
+
+  const node = {
+    type: "callout",
+    data: {
+      hName: "aside",
+      hProperties: {
+        className: ["callout", `callout-${type}`, ...(collapsible ? ["callout-collapsible"] : [])],
+        role: "note",
+      },
+    },
+    children: collapsible
+      ? [{ type: "calloutDetails", data: { hName: "details", hProperties: { open: marker === "+" } }, children: [heading, content] }]
+      : [heading, content],
+  };
+  node.content = content.children;
+  return node;
+}
+
+/**
+ * Split paragraph children at the end of their first line
+ */
+function splitFirstLine(children) {
+  const first = [];
+  const rest = [];
+  let done = false;
+  for (const child of children) {
+    if (done) {
+      rest.push(child);
+    } else if (child.type === "text" && child.value.includes("\n")) {
+      const index = child.value.indexOf("\n");
+      if (index > 0) first.push({ ...child, value: child.value.slice(0, index) });
+      const after = child.value.slice(index + 1);
+      if (after) rest.push({ ...child, value: after });
+      done = true;
+    } else {
+      first.push(child);
+    }
+  }
+  return [first, rest];
+}
+
+/**
+ * Remove a trailing `:::` line from a paragraph; returns whether it was there
+ */
+function stripCloser(paragraph) {
+  const last = paragraph.children[paragraph.children.length - 1];
+  if (!last || last.type !== "text" || !CLOSER.test(last.value)) return false;
+  last.value = last.value.replace(CLOSER, "");
+  if (!last.value) paragraph.children.pop();
+  return true;
+}
+
+/**
+ * A `:::` line right after a list or quote is parsed as a lazy continuation
+ * of its last paragraph: find it there
+ */
+function stripNestedCloser(node) {
+  let last = node;
+  while (last && last.type !== "paragraph" && Array.isArray(last.children)) {
+    last = last.children[last.children.length - 1];
+  }
+  if (!last || last === node || last.type !== "paragraph") return false;
+  return stripCloser(last);
+}
+
+function trimStart(nodes) {
+  if (nodes[0]?.type === "text") {
+    nodes[0] = { ...nodes[0], value: nodes[0].value.replace(/^[ \t]+/, "") };
+    if (!nodes[0].value) nodes.shift();
+  }
+  return nodes;
+}
+
+/**
+ * Rewrite container directives and alerts among the children of a block node
+ */
+function transformChildren(parent, settings, file) {
+  const output = [];
+  const stack = [];
+  const target = () => (stack.length > 0 ? stack[stack.length - 1].content : output);
+
+  for (const child of parent.children) {
+    if (child.type === "paragraph" && child.children[0]?.type === "text") {
+      const opener = child.children[0].value.match(OPENER);
+      const type = opener?.[1].toLowerCase();
+
+      if (opener && calloutTitle(settings, type)) {
+        const [firstLine, rest] = splitFirstLine(child.children);
+        firstLine[0] = { ...firstLine[0], value: firstLine[0].value.slice(opener[0].length) };
+        if (!firstLine[0].value) firstLine.shift();
+
+        const callout = calloutNode(type, opener[2], trimStart(firstLine), settings);
+        target().push(callout);
+
+        const body = { ...child, children: rest };
+        const closed = rest.length > 0 && stripCloser(body);
+        if (body.children.length > 0) callout.content.push(body);
+        if (!closed) stack.push(callout);
+        continue;
+      }
+
+      if (opener && !calloutTitle(settings, type) && !/^:::[ \t]*$/.test(child.children[0].value)) {
+        console.warn(`⚠️ Unknown callout type "${opener[1]}"${file?.path ? ` in ${file.path}` : ""} (known: ${Object.keys(settings.titles).join(", ")})`);
+      }
+
+      if (stack.length > 0 && stripCloser(child)) {
+        if (child.children.length > 0) target().push(child);
+        stack.pop();
+        continue;
+      }
+    }
+
+    if (child.type === "blockquote" && child.children[0]?.type === "paragraph") {
+      const paragraph = child.children[0];
+      const first = paragraph.children[0];
+      const alert = first?.type === "text" && first.value.match(ALERT);
+      const type = alert?.[1].toLowerCase();
+
+      if (alert && calloutTitle(settings, type)) {
+        const [firstLine, rest] = splitFirstLine(paragraph.children);
+        firstLine[0] = { ...firstLine[0], value: firstLine[0].value.slice(alert[0].length) };
+        if (!firstLine[0].value) firstLine.shift();
+
+        const callout = calloutNode(type, alert[2], trimStart(firstLine), settings);
+        if (rest.length > 0) callout.content.push({ ...paragraph, children: rest });
+        callout.content.push(...child.children.slice(1));
+        target().push(callout);
+        continue;
+      }
+    }
+
+    target().push(child);
+    if (stack.length > 0 && stripNestedCloser(child)) {
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 0) {
+    console.warn(`⚠️ Unclosed callout${file?.path ? ` in ${file.path}` : ""}: add a ":::" line after its content`);
+  }
+
+  parent.children = output;
+}
+
+function walk(node, settings, file) {
+  if (!Array.isArray(node.children) || node.type === "paragraph" || node.type === "heading") return;
+  transformChildren(node, settings, file);
+  for (const child of node.children) {
+    walk(child, settings, file);
+  }
+}
+
+/**
+ * Remark plugin; settings: { icons, titles }
+ */
+export function remarkCallouts(settings = {}) {
+  const resolved = {
+    icons: settings.icons ?? true,
+    titles: { ...DEFAULT_TITLES, ...settings.titles },
+  };
+  return (tree, file) => walk(tree, resolved, file);
+}
@@ -0,0 +1,182 @@
+import fs from "fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import Image from "@11ty/eleventy-img";
+import { DateTime } from "luxon";
+import { escapeHtml } from "./utils/html.js";
+import { getImageService } from "./images.js";
+import { parseDate } from "./utils/dates.js";
+
+/**
+ * Open Graph cards: a 1200×630 PNG per page without an image, rendered from an SVG
+ * template and rasterized at build time. Cards are named after the hash of their SVG,
+ * so unchanged cards are never rendered twice.
+ *
+ * Template placeholders (escaped): {title1} {title2} {title3} (the title wrapped on
+ * three lines), {description1} {description2}, {date}, {tags}, {site}, {logo} (data URI)
+ */
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+// Characters per line of the built-in template at its font sizes
+const TITLE_LINE = 30;
+const DESCRIPTION_LINE = 62;
+
+// Tags shared by every post make no useful label
+const TAGS_EXCLUDE = new Set(["all", "nav", "post", "posts", "blog"]);
+
+// Transparent pixel, used by templates when the site has no logo
+const EMPTY_IMAGE = "data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEAAAAALAAAAAABAAEAAAIBAAA=";
+
+const MIME_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp", ".svg": "image/svg+xml" };
+
+export const DEFAULT_TEMPLATE = `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
+  <rect width="1200" height="630" fill="#0f172a"/>
+  <rect x="0" y="0" width="16" height="630" fill="#38bdf8"/>
+  <image href="{logo}" x="1024" y="56" width="96" height="96" preserveAspectRatio="xMaxYMid meet"/>
+  <text x="80" y="112" font-family="Inter, Helvetica, Arial, sans-serif" font-size="30" font-weight="600" fill="#e2e8f0">{site}</text>
+  <text font-family="Inter, Helvetica, Arial, sans-serif" font-size="64" font-weight="700" fill="#ffffff">
+    <tspan x="80" y="250">{title1}</tspan>
+    <tspan x="80" y="330">{title2}</tspan>
+    <tspan x="80" y="410">{title3}</tspan>
+  </text>
+  <text font-family="Inter, Helvetica, Arial, sans-serif" font-size="28" fill="#94a3b8">
+    <tspan x="80" y="480">{description1}</tspan>
+    <tspan x="80" y="518">{description2}</tspan>
+  </text>
+  <text x="80" y="574" font-family="Inter, Helvetica, Arial, sans-serif" font-size="26" fill="#38bdf8">{date}</text>
+  <text x="1120" y="574" text-anchor="end" font-family="Inter, Helvetica, Arial, sans-serif" font-size="26" fill="#cbd5e1">{tags}</text>
+</svg>`;
+
+// Cards rendered (or being rendered) in this build: hash -> Promise
+const renders = new Map();
+const templates = new Map(); // template path -> SVG source
+const logos = new Map();     // logo source -> data URI
+
+/**
+ * Wrap text on at most `lines` lines of `width` characters; the last line ends with "…" when cut
+ */
+export function wrapText(text, width, lines) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const result = [];
+  let line = "";
+  let cut = false;
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= width || !line) {
+      line = candidate;
+      continue;
+    }
+    if (result.length === lines - 1) {
+      cut = true;
+      break;
+    }
+    result.push(line);
+    line = word;
+  }
+  if (line) result.push(line);
+
+  const wrapped = result.map((item, i) =>
+    item.length > width || (cut && i === result.length - 1) ? `${item.slice(0, width - 1).trimEnd()}…` : item
+  );
+  while (wrapped.length < lines) wrapped.push("");
+  return wrapped;
+}
+
+function template(settings) {
+  if (!settings.template) return DEFAULT_TEMPLATE;
+  if (!templates.has(settings.template)) {
+    const file = path.resolve(settings.template);
+    if (!fs.existsSync(file)) {
+      throw new Error(`❌ Social card template not found: ${settings.template}`);
+    }
+    templates.set(settings.template, fs.readFileSync(file, "utf8"));
+  }
+  return templates.get(settings.template);
+}
+
+/**
+ * The logo as a data URI (rasterizers don't load external files)
+ */
+function logoDataUri(logo, imageOptions) {
+  if (!logo) return EMPTY_IMAGE;
+  if (!logos.has(logo)) {
+    const images = getImageService(imageOptions);
+    const { path: file, tried } = images.resolve(logo);
+    let uri = EMPTY_IMAGE;
+    if (file) {
+      const type = MIME_TYPES[path.extname(file).toLowerCase()] || "image/png";
+      uri = `data:${type};base64,${fs.readFileSync(file).toString("base64")}`;
+    } else {
+      images.missing(logo, tried);
+    }
+    logos.set(logo, uri);
+  }
+  return logos.get(logo);
+}
+
+/**
+ * SVG of a card; `card`: { title, description, date, timezone, tags, locale }
+ */
+export function renderCardSvg(card, site, settings, imageOptions) {
+  const date = parseDate(card.date, card.timezone || "utc");
+  const tags = (card.tags || []).filter((tag) => !TAGS_EXCLUDE.has(tag));
+  const values = {
+    site: site.name || "",
+    date: date ? date.setLocale(card.locale || "en").toLocaleString(DateTime.DATE_FULL) : "",
+    tags: tags.slice(0, 3).map((tag) => `#${tag}`).join("  "),
+    logo: logoDataUri(settings.logo || site.logo, imageOptions),
+  };
+  wrapText(card.title, TITLE_LINE, 3).forEach((line, i) => { values[`title${i + 1}`] = line; });
+  wrapText(card.description, DESCRIPTION_LINE, 2).forEach((line, i) => { values[`description${i + 1}`] = line; });
+
+  return template(settings).replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in values ? escapeHtml(values[key]) : placeholder
+  );
+}
+
+/**
+ * Card image of a page: { url, width, height }
+ * The PNG is written in the background; the build waits for it (see register)
+ */
+export function socialCard(card, site, settings, imageOptions) {
+  const svg = renderCardSvg(card, site, settings, imageOptions);
+  const hash = crypto.createHash("sha256").update(svg).digest("hex").slice(0, 16);
+  const filename = `${hash}.png`;
+  const file = path.join(settings.outputDir, filename);
+
+  if (!renders.has(hash) && !fs.existsSync(file)) {
+    renders.set(hash, Image(Buffer.from(svg), {
+      widths: [CARD_WIDTH],
+      formats: ["png"],
+      outputDir: settings.outputDir,
+      urlPath: settings.urlPath,
+      filenameFormat: () => filename,
+    }).catch((error) => {
+      console.error(`❌ Error rendering the social card of "${card.title}":`, error.message);
+    }));
+  }
+
+  return {
+    url: `${settings.urlPath.replace(/\/?$/, "/")}${filename}`,
+    width: CARD_WIDTH,
+    height: CARD_HEIGHT,
+  };
+}
+
+/**
+ * Wait for the cards rendered during the build
+ */
+export function register(eleventyConfig, options) {
+  // Fail on a missing template when the config is loaded, not on the first page
+  template(options.socialCards);
+
+  eleventyConfig.on("eleventy.after", async () => {
+    const pending = Array.from(renders.values());
+    renders.clear();
+    if (pending.length === 0) return;
+    await Promise.all(pending);
+    console.log(`🖼️ Rendered ${pending.length} social cards`);
+  });
+}
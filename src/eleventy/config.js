@@ -1,170 +1,140 @@
-import Image from "@11ty/eleventy-img";
 import { eleventyImageTransformPlugin } from "@11ty/eleventy-img";
 import slugify from "slugify";
-import MarkdownIt from 'markdown-it';
-import MarkdownItLinkAttributes from 'markdown-it-link-attributes';
 import dotenv from "dotenv";
 import path from "path";
 import fs from "fs";
 import { execSync } from "child_process";
-import { unified } from 'unified';
-import remarkParse from 'remark-parse';
-import remarkGfm from 'remark-gfm';
-import remarkRehype from 'remark-rehype';
-import rehypeExpressiveCode from 'rehype-expressive-code';
-import rehypeStringify from 'rehype-stringify';
-import { DateTime } from "luxon";
-import * as cheerio from 'cheerio';
 
 // Import local modules
 import filters from "./filters.js";
 import rss from "./utils/rss.js";
 import shortcodes from "./shortcodes.js";
 import { register as registerSEO } from "./seo.js";
-
-export function createEleventyConfig() {
+import { register as registerRedirects } from "./redirects.js";
+import { register as registerSearch } from "./search.js";
+import { register as registerRelated } from "./related.js";
+import { register as registerDrafts, draftComputedData } from "./drafts.js";
+import { register as registerLint } from "./lint.js";
+import { register as registerMarkdown } from "./markdown.js";
+import { register as registerMath } from "./math.js";
+import { register as registerEmbeds } from "./embeds.js";
+import { register as registerToc, tocComputedData } from "./toc.js";
+import { register as registerFeeds } from "./feeds.js";
+import { register as registerSitemap, isSitemapPage, recordPageImages } from "./sitemap.js";
+import { register as registerBreadcrumbs, breadcrumbComputedData } from "./breadcrumbs.js";
+import { register as registerCards } from "./cards.js";
+import { register as registerAudit } from "./audit.js";
+import { register as registerLinks } from "./links.js";
+import { register as registerHistory, historyComputedData, fileHistory } from "./history.js";
+import { register as registerContent, setupContent } from "./content.js";
+import {
+  register as registerI18n,
+  resolveI18n,
+  detectLocale,
+  stripLocaleFromPath,
+  localizedFileSlug,
+  localePrefix,
+  translationKey,
+  localizeGlobs,
+  groupByLocale,
+} from "./i18n.js";
+import { resolveOptions } from "./options.js";
+import { getImageService, renderImagePlaceholders, register as registerImages } from "./images.js";
+import { resolveLocaleSettings } from "./utils/dates.js";
+
+export function createEleventyConfig(userOptions = {}) {
   dotenv.config();
 
+  // Validate user options before touching the filesystem
+  const options = resolveOptions(userOptions);
+
   // Get site data from the website's _data directory
   const sitePath = path.resolve(process.cwd(), "src/_data/site.json");
   const site = JSON.parse(fs.readFileSync(sitePath, "utf-8"));
 
-  /**
-   * Replace ${VARNAME} in a string with corresponding process.env values.
-   * Example: "${QUESBY_CONTENT_PATH}" → "D:/..."
-   */
-  function expandEnv(str) {
-    if (typeof str !== "string") return str;
-    return str.replace(/\$\{([^}]+)\}/g, (_, key) => process.env[key] ?? "");
-  }
-
-  /**
-   * Copy directory recursively with proper error handling
-   */
-  function copyDirectoryRecursive(source, destination) {
-    try {
-      // Ensure destination directory exists
-      if (!fs.existsSync(destination)) {
-        fs.mkdirSync(destination, { recursive: true });
-      }
-
-      // Read source directory
-      const items = fs.readdirSync(source);
-      
-      for (const item of items) {
-        const sourcePath = path.join(source, item);
-        const destPath = path.join(destination, item);
-        
-        if (fs.statSync(sourcePath).isDirectory()) {
-          // Recursively copy subdirectories
-          copyDirectoryRecursive(sourcePath, destPath);
-        } else {
-          // Copy files
-          fs.copyFileSync(sourcePath, destPath);
-        }
-      }
-      
-      console.log(`✅ Contents copied from: ${source} → ${destination}`);
-    } catch (error) {
-      console.error(`❌ Error during copy: ${error.message}`);
-      throw error;
-    }
-  }
+  // Make the external content folder available in src/content before Eleventy reads it
+  const contentPaths = setupContent(options, site);
+  const { source: contentPath, local: localContentPath } = contentPaths;
 
   /**
-   * Setup content directory automatically
+   * Source of a content file synced or linked from the external content path (its git history lives there)
    */
-  function setupContentDirectory() {
-    // Expand and normalize the content path
-    const raw = expandEnv(site.contentPath);
-    const resolvedRaw = raw && raw.trim().length ? raw : "src/content";
-
-    // Resolve path relative to project root (process.cwd())
-    const contentPath = path.isAbsolute(resolvedRaw)
-      ? resolvedRaw
-      : path.resolve(process.cwd(), resolvedRaw);
-
-    // Check if external content path exists
-    if (!fs.existsSync(contentPath)) {
-      throw new Error(
-        `❌ Content path not found:\n${contentPath}\n\n` +
-        `Check your contentPath in site.json or the .env variable QUESBY_CONTENT_PATH`
-      );
-    }
-
-    // Define local content directory
-    const localContentDir = path.join(process.cwd(), "src", "content");
-    
-    // Check if we need to copy contents
-    if (!fs.existsSync(localContentDir) || fs.readdirSync(localContentDir).length === 0) {
-      console.log(`🔄 Automatic content directory setup...`);
-      console.log(`�� External path: ${contentPath}`);
-      console.log(`📁 Local directory: ${localContentDir}`);
-      
-      // Copy contents from external path to local src/content
-      copyDirectoryRecursive(contentPath, localContentDir);
-    } else {
-      console.log(`✅ Content directory already configured: ${localContentDir}`);
-    }
-
-    return localContentDir;
+  function contentSource(inputPath) {
+    const relative = path.relative(localContentPath, path.resolve(inputPath));
+    if (contentPath === localContentPath || relative.startsWith("..") || path.isAbsolute(relative)) return inputPath;
+    const source = path.join(contentPath, relative);
+    return fs.existsSync(source) ? source : inputPath;
   }
 
-  // Setup content directory before Eleventy configuration
-  const localContentPath = setupContentDirectory();
-
   return function(eleventyConfig) {
     // Load theme from site.json configuration
     const siteData = JSON.parse(fs.readFileSync(sitePath, 'utf8'));
     const activeTheme = siteData.theme || "quesby-core";
+    const localeSettings = resolveLocaleSettings(options, siteData);
+    const i18n = resolveI18n(options, siteData);
+    // Invalid image options fail when the config is loaded
+    getImageService(options.imageOptions);
+    registerImages(eleventyConfig);
+
+    // Posts and documentation use their `date` as publication date
+    const isDatedContent = (inputPath) => {
+      const input = stripLocaleFromPath(i18n, inputPath);
+      return input.includes("/content/posts/") || input.includes("/content/documentation/");
+    };
+    // "posts", "documentation" or null for other pages
+    const contentType = (inputPath) => {
+      const input = stripLocaleFromPath(i18n, inputPath);
+      if (input.includes("/content/posts/")) return "posts";
+      if (input.includes("/content/documentation/")) return "documentation";
+      return null;
+    };
 
     // Watch folders
     eleventyConfig.addWatchTarget("src/_data");
     eleventyConfig.addWatchTarget("src/scss");
     eleventyConfig.addWatchTarget(`src/themes/${activeTheme}`); // Aggiunto src/
-    eleventyConfig.addWatchTarget(localContentPath); // Watch content directory
+    registerContent(eleventyConfig, contentPaths, options); // Watch content directory
 
     // Pass-through static files
-    eleventyConfig.addPassthroughCopy({ "src/assets": "/assets" });
-    eleventyConfig.addPassthroughCopy({ "src/admin": "/admin" });
+    for (const [from, to] of Object.entries(options.passthrough)) {
+      if (to === false) continue;
+      eleventyConfig.addPassthroughCopy({ [from]: to });
+    }
 
     // Copy SCSS files from core to website
-    eleventyConfig.addPassthroughCopy({ 
-      "packages/@quesby/core/src/sass": "/sass" 
-    });
+    if (options.features.sassPassthrough) {
+      eleventyConfig.addPassthroughCopy({
+        [options.scssOptions.sourceDir]: options.scssOptions.outputDir
+      });
+    }
 
     // Global variable for Nunjucks templates
     eleventyConfig.addGlobalData("theme", activeTheme);
 
+    // Skip drafts and scheduled pages in production builds
+    if (options.features.drafts) {
+      registerDrafts(eleventyConfig, options, { isDatedContent, timezone: localeSettings.timezone });
+    }
+
     // add collections for sitemap, posts and documentation
-    eleventyConfig.addCollection("sitemap", function (api) {
-      return api.getAll().filter(page => {
-        if (!page.url) return false;
-        if (page.data.eleventyExcludeFromCollections) return false;
-        if (page.data.noindex) return false;
-        if (page.url === "/404.html") return false;
-        if (page.url.startsWith("/admin")) return false;
-        if (page.url.endsWith("xml")) return false;
-        if (page.url.endsWith("json")) return false;
-        return true;
+    eleventyConfig.addCollection("sitemap", api => api.getAll().filter(isSitemapPage));
+
+    // Posts and documentation in every locale (locale variants of the globs are added when i18n is enabled)
+    const postGlobs = localizeGlobs(i18n, options.collections.posts);
+    const documentationGlobs = localizeGlobs(i18n, options.collections.documentation);
+    const isDefaultLocale = item => !i18n.enabled || item.data.locale === i18n.defaultLocale;
+
+    // Validate frontmatter and markdown of posts and documentation before building
+    if (options.features.lint) {
+      registerLint(eleventyConfig, options, {
+        collections: { posts: postGlobs, documentation: documentationGlobs },
+        i18n,
       });
-    });
-
-    eleventyConfig.addCollection('posts', collection => {
-      // Support both old format (ULID only) and new format (ULID--slug)
-      const posts = collection.getFilteredByGlob([
-        'src/content/posts/*/index.md',  // Old format: ULID/index.md
-        'src/content/posts/*--*/index.md' // New format: ULID--slug/index.md
-      ]);
-      console.log(`[📝] Collection posts: found ${posts.length} posts`);
-      console.log(`[��] Patterns used: src/content/posts/*/index.md and src/content/posts/*--*/index.md`);
-      return posts;
-    });
+    }
 
-    eleventyConfig.addCollection('documentation', collection => {
-      const docs = collection.getFilteredByGlob(['src/content/documentation/*.md']);
-      console.log(`[📚] Collection documentation: found ${docs.length} pages`);
-      console.log(`[🔍] Pattern used: src/content/documentation/*.md`);
+    const getAllPosts = collection => collection.getFilteredByGlob(postGlobs);
+    const getAllDocumentation = collection => {
+      const docs = collection.getFilteredByGlob(documentationGlobs);
       return docs.sort((a, b) => {
         // Sort by order field first, then by title
         const orderA = a.data.order || 999;
@@ -179,6 +149,38 @@ export function createEleventyConfig() {
         const titleB = b.data.title || b.fileSlug || '';
         return titleA.localeCompare(titleB);
       });
+    };
+
+    // `posts` and `documentation` only hold the default locale; other locales are in the *ByLocale collections
+    eleventyConfig.addCollection('posts', collection => {
+      // Default globs support both old format (ULID only) and new format (ULID--slug)
+      const posts = getAllPosts(collection).filter(isDefaultLocale);
+      console.log(`[📝] Collection posts: found ${posts.length} posts`);
+      console.log(`[🔍] Patterns used: ${postGlobs.join(" and ")}`);
+      return posts;
+    });
+
+    eleventyConfig.addCollection('documentation', collection => {
+      const docs = getAllDocumentation(collection).filter(isDefaultLocale);
+      console.log(`[📚] Collection documentation: found ${docs.length} pages`);
+      console.log(`[🔍] Pattern used: ${documentationGlobs.join(" and ")}`);
+      return docs;
+    });
+
+    eleventyConfig.addCollection('postsByLocale', collection =>
+      groupByLocale(i18n, getAllPosts(collection))
+    );
+
+    eleventyConfig.addCollection('documentationByLocale', collection =>
+      groupByLocale(i18n, getAllDocumentation(collection))
+    );
+
+    eleventyConfig.addCollection('tagListByLocale', collection => {
+      const tagListFrom = eleventyConfig.getFilter("tagListFrom");
+      const groups = groupByLocale(i18n, collection.getAll());
+      return Object.fromEntries(
+        Object.entries(groups).map(([loc, items]) => [loc, tagListFrom(items)])
+      );
     });
 
  // Normalize and map by slug
@@ -264,189 +266,130 @@ eleventyConfig.addCollection("postsByCategorySlug", (collectionApi) => {
     );
 
     // Register SEO filters and utilities
-    registerSEO(eleventyConfig);
+    if (options.features.seo) {
+      registerSEO(eleventyConfig, options);
+      // Open Graph cards of pages without an image
+      if (options.features.socialCards) registerCards(eleventyConfig, options);
+      // Audit of the built pages' titles, descriptions, canonicals and structured data
+      if (options.features.audit) registerAudit(eleventyConfig, options);
+    }
 
-    // Documentation navigation filters
-    eleventyConfig.addFilter("getNextDoc", (currentUrl, docs) => {
-      const currentIndex = docs.findIndex(doc => doc.url === currentUrl);
-      return currentIndex < docs.length - 1 ? docs[currentIndex + 1] : null;
-    });
+    // Turn `aliases` frontmatter into redirects
+    if (options.features.redirects) {
+      registerRedirects(eleventyConfig, options);
+    }
 
-    eleventyConfig.addFilter("getPrevDoc", (currentUrl, docs) => {
-      const currentIndex = docs.findIndex(doc => doc.url === currentUrl);
-      return currentIndex > 0 ? docs[currentIndex - 1] : null;
-    });
+    // Locale collections and filters (`t`, `localeUrl`)
+    if (options.features.i18n) {
+      registerI18n(eleventyConfig, i18n);
+    }
 
-    // Custom plugin to process images with eleventy-img
-    const rehypeImages = () => {
-      return (tree) => {
-        const visit = (node) => {
-          if (node.type === 'element' && node.tagName === 'img') {
-            const src = node.properties?.src;
-            const alt = node.properties?.alt || '';
-            
-            // Skip external URLs
-            if (src && (src.startsWith('http') || src.startsWith('data:'))) {
-              return;
-            }
-            
-            // Process local images with eleventy-img
-            if (src) {
-              console.log(`🖼️ Found image to process: ${src}`);
-              
-              // Replace the img element with a placeholder that we'll process later
-              node.type = 'element';
-              node.tagName = 'div';
-              node.properties = {
-                'data-image-src': src,
-                'data-image-alt': alt,
-                'data-image-placeholder': 'true'
-              };
-              node.children = [];
-            }
-          }
-          
-          if (node.children) {
-            node.children.forEach(visit);
-          }
-        };
-        
-        visit(tree);
-      };
-    };
+    // Offline search index, client module and `searchBox` shortcode
+    if (options.features.search) {
+      registerSearch(eleventyConfig, options);
+    }
 
-    const processor = unified()
-      .use(remarkParse)
-      .use(remarkGfm)
-      .use(remarkRehype)
-      .use(rehypeImages)
-      .use(rehypeExpressiveCode, {
-        themes: ['github-light', 'github-dark'],
-        defaultProps: {
-          wrap: true
-        }
-      })
-      .use(rehypeStringify);
+    // Atom, RSS and JSON feeds of the blog (and of each tag / category)
+    if (options.features.feeds) {
+      registerFeeds(eleventyConfig, options, {
+        getPosts: (collection) => getAllPosts(collection).filter(isDefaultLocale),
+        timezone: localeSettings.timezone,
+      });
+    }
 
-    eleventyConfig.setLibrary("md", {
-      async render(str) {
-        const result = await processor.process(str);
-        return result.toString();
-      }
-    });
+    // sitemap.xml and robots.txt
+    if (options.features.sitemap) {
+      registerSitemap(eleventyConfig, options, {
+        timezone: localeSettings.timezone,
+        history: options.features.history
+          ? (inputPath) => fileHistory(contentSource(inputPath), options.history)?.updatedAt
+          : null,
+      });
+    }
 
-    // Configure markdown-it
-    const md = new MarkdownIt({
-      html: true,
-      breaks: true,
-      linkify: true
-    }).use(MarkdownItLinkAttributes, {
-      pattern: /^https?:/,
-      attrs: {
-        target: '_blank',
-        rel: 'noopener'
-      }
-    });
+    // Page dates from git history (re-read on rebuilds while serving)
+    if (options.features.history) {
+      registerHistory(eleventyConfig);
+    }
 
-    // Add custom image processing to markdown-it
-    md.renderer.rules.image = function (tokens, idx, options, env, renderer) {
-      const token = tokens[idx];
-      const src = token.attrGet('src');
-      const alt = token.attrGet('alt') || '';
-      
-      // Skip external URLs
-      if (src && (src.startsWith('http') || src.startsWith('data:'))) {
-        return `<img src="${src}" alt="${alt}">`;
-      }
-      
-      // For local images, we'll process them with eleventy-img
-      // This is a placeholder - we'll need to handle this differently
-      return `<img src="${src}" alt="${alt}">`;
-    };
+    // Broken internal links and anchors of the built site
+    if (options.features.links) {
+      registerLinks(eleventyConfig, options);
+    }
 
-    // Date formatting with Luxon
-    eleventyConfig.addFilter("date", (dateObj, format = "dd LLLL yyyy") => {
-      let dt;
-      
-      if (typeof dateObj === 'string') {
-        // try different string formats
-        dt = DateTime.fromISO(dateObj) || 
-             DateTime.fromSQL(dateObj) || 
-             DateTime.fromFormat(dateObj, 'yyyy-MM-dd');
-      } else if (dateObj instanceof Date) {
-        dt = DateTime.fromJSDate(dateObj);
-      } else {
-        // Fallback
-        dt = DateTime.fromJSDate(new Date(dateObj));
-      }
-      
-      return dt.setZone("utc").setLocale("it").toFormat(format);
-    });
+    if (options.features.breadcrumbs) {
+      registerBreadcrumbs(eleventyConfig);
+    }
 
-    // Filter to include markdown files with Expressive Code support
-    eleventyConfig.addFilter("includeMarkdown", async function(markdownPath) {
-      try {
-        // Path relative to src/_includes directory
-        const fullPath = path.join(process.cwd(), 'src', '_includes', markdownPath);
-        
-        console.log(`🔍 Looking for markdown file: ${fullPath}`);
-        console.log(`🔍 File exists: ${fs.existsSync(fullPath)}`);
-        
-        if (fs.existsSync(fullPath)) {
-          const markdownContent = fs.readFileSync(fullPath, 'utf-8');
-          console.log(`✅ Successfully loaded: ${markdownPath}`);
-          
-          // Use unified processor with Expressive Code
-          const result = await processor.process(markdownContent);
-          return result.toString();
-        } else {
-          console.warn(`⚠️  Markdown file not found: ${fullPath}`);
-          return `<p>⚠️ Content not found: ${markdownPath}</p>`;
-        }
-      } catch (error) {
-        console.error(`❌ Error loading ${markdownPath}:`, error);
-        return `<p>❌ Error loading content</p>`;
-      }
+    // Related posts scored from tags, categories and text similarity
+    if (options.features.related) {
+      registerRelated(eleventyConfig, options, { getPosts: getAllPosts });
+    }
+
+    // Documentation navigation filters
+    eleventyConfig.addFilter("getNextDoc", (currentUrl, docs) => {
+      const currentIndex = docs.findIndex(doc => doc.url === currentUrl);
+      return currentIndex < docs.length - 1 ? docs[currentIndex + 1] : null;
     });
 
-    // Format number with thousands separator
-    eleventyConfig.addFilter("formatNumber", (num, options = {}) => {
-      if (typeof num !== 'number') return num;
-      
-      const {
-        thousandsSeparator = ".",
-        decimalSeparator = ",",
-        decimals = 0
-      } = options;
-      
-      return num.toLocaleString('it-IT', {
-        minimumFractionDigits: decimals,
-        maximumFractionDigits: decimals
-      }).replace(/,/g, decimalSeparator).replace(/\./g, thousandsSeparator);
+    eleventyConfig.addFilter("getPrevDoc", (currentUrl, docs) => {
+      const currentIndex = docs.findIndex(doc => doc.url === currentUrl);
+      return currentIndex > 0 ? docs[currentIndex - 1] : null;
     });
 
+    registerMarkdown(eleventyConfig, options);
+    if (options.features.math) registerMath(eleventyConfig, options);
+    if (options.features.embeds) registerEmbeds(eleventyConfig, options);
+    if (options.features.headingIds) registerToc(eleventyConfig, options);
+
     eleventyConfig.addGlobalData("eleventyComputed", {
+      // `isDraft` and `draftBanner` for draft/scheduled banners while previewing
+      ...(options.features.drafts ? draftComputedData(options.drafts, isDatedContent, localeSettings.timezone) : {}),
+      // `tableOfContents`: nested headings of pages with a TOC
+      ...tocComputedData(options, contentType),
+      // `createdAt`, `updatedAt` and `lastChange` from the git history of the source file
+      ...(options.features.history ? historyComputedData(options.history, contentSource) : {}),
+      // `breadcrumbs`: trail from the locale's home page to this page
+      ...(options.features.breadcrumbs ? breadcrumbComputedData(options.breadcrumbs, {
+        contentType,
+        homeUrl: (data) => `${localePrefix(i18n, detectLocale(i18n, data.page?.inputPath, data))}/`,
+        slugify: (value) => eleventyConfig.getFilter("slugify")(value),
+      }) : {}),
+      locale: (data) => detectLocale(i18n, data.page?.inputPath, data),
+      translationKey: (data) => translationKey(i18n, data.page?.inputPath, data),
+      // All versions of this page (including itself), see the translationsByKey collection
+      translations: (data) => {
+        const versions = data.collections?.translationsByKey?.[data.translationKey];
+        return i18n.enabled && Array.isArray(versions) ? versions : [];
+      },
+      // Related posts (see the relatedPosts collection); other pages keep their own `related` data
+      related: (data) => {
+        const related = data.collections?.relatedPosts?.[data.page?.url];
+        return Array.isArray(related) ? related : data.related;
+      },
       permalink: (data) => {
-        const input = (data.page?.inputPath || "").replace(/\\/g, "/");
+        // Locale folders and suffixes are stripped so every locale shares the same rules
+        const input = stripLocaleFromPath(i18n, data.page?.inputPath);
+        const prefix = localePrefix(i18n, detectLocale(i18n, data.page?.inputPath, data));
         if (input.includes("/content/posts/")) {
           // Use slug from frontmatter, otherwise fallback to fileSlug
-          const slug = data.slug || data.page.fileSlug;
-          return `/blog/${slug}/`;
+          const slug = data.slug || localizedFileSlug(i18n, data.page);
+          return `${prefix}/blog/${slug}/`;
         }
         if (input.includes("/content/documentation/")) {
           // Use slug from frontmatter, otherwise fallback to fileSlug
-          const slug = data.slug || data.page.fileSlug;
-          return `/documentation/${slug}/`;
+          const slug = data.slug || localizedFileSlug(i18n, data.page);
+          return `${prefix}/documentation/${slug}/`;
         }
         return data.permalink;
       },
       layout: (data) => {
-        const input = (data.page?.inputPath || "").replace(/\\/g, "/");
+        const input = stripLocaleFromPath(i18n, data.page?.inputPath);
         if (input.includes("/content/posts/")) return "layouts/single-post.njk";
         return data.layout;
       },
       tags: (data) => {
-        const input = (data.page?.inputPath || "").replace(/\\/g, "/");
+        const input = stripLocaleFromPath(i18n, data.page?.inputPath);
         if (!input.includes("/content/posts/")) return data.tags;
         const prev = Array.isArray(data.tags) ? data.tags : (data.tags ? [data.tags] : []);
         return Array.from(new Set([...prev, "blog"]));
@@ -456,150 +399,21 @@ eleventyConfig.addCollection("postsByCategorySlug", (collectionApi) => {
     // Transform to process image placeholders with eleventy-img
     eleventyConfig.addTransform("processImagePlaceholders", async function(content, outputPath) {
       // Only process HTML files
-      if (!outputPath || !outputPath.endsWith('.html')) {
+      if (!options.features.imageTransform || !outputPath || !outputPath.endsWith('.html')) {
         return content;
       }
 
-      // Find all image placeholders
-      const placeholderRegex = /<div data-image-src="([^"]*)" data-image-alt="([^"]*)" data-image-placeholder="true"[^>]*><\/div>/g;
-      
-      let processedContent = content;
-      let match;
-      const placeholders = [];
-      
-      // Collect all placeholders
-      while ((match = placeholderRegex.exec(content)) !== null) {
-        placeholders.push({
-          fullMatch: match[0],
-          src: match[1],
-          alt: match[2],
-          index: match.index
-        });
-      }
-
-      console.log(`🖼️ Processing ${placeholders.length} image placeholders in ${outputPath}`);
-
-      // Process placeholders in reverse order to maintain indices
-      for (let i = placeholders.length - 1; i >= 0; i--) {
-        const { fullMatch, src, alt, index } = placeholders[i];
-        
-        try {
-          // Unified path resolution - same logic as shortcode
-          let imagePath;
-          if (src.startsWith('/')) {
-            imagePath = path.resolve(process.cwd(), "src", src.substring(1));
-          } else if (src.startsWith('content/')) {
-            imagePath = path.resolve(process.cwd(), "src", src);
-          } else if (src.startsWith('assets/')) {
-            imagePath = path.resolve(process.cwd(), "src", src);
-          } else {
-            imagePath = path.resolve(process.cwd(), "src", src);
-          }
-
-          // Check if image exists
-          if (!fs.existsSync(imagePath)) {
-            console.warn(`⚠️ Image not found: ${imagePath}`);
-            continue;
-          }
-
-          // Process image with eleventy-img
-          const metadata = await Image(imagePath, {
-            widths: [320, 640, 960, 1280, null],
-            formats: ["avif", "webp"],
-            outputDir: "./_site/assets/images/",
-            urlPath: "/assets/images/",
-          });
-
-          const imageAttributes = {
-            alt: alt || '',
-            sizes: "100vw",
-            loading: "lazy",
-            decoding: "async",
-          };
-
-          const replacement = `<figure>${Image.generateHTML(metadata, imageAttributes)}</figure>`;
-          processedContent = processedContent.substring(0, index) + replacement + processedContent.substring(index + fullMatch.length);
-          
-          console.log(`✅ Processed image: ${src}`);
-        } catch (error) {
-          console.error(`❌ Error processing image ${src}:`, error);
-          // Keep original placeholder if processing fails
-        }
-      }
-
-      return processedContent;
-    });
-
-    // Add transform to add IDs to headings and insert TOC in aside
-    eleventyConfig.addTransform("addHeadingIdsAndTOC", function(content, outputPath) {
-      // Only process HTML files in documentation
-      if (outputPath && outputPath.endsWith('.html') && outputPath.includes('/documentation/')) {
-        console.log(`Adding heading IDs and TOC for: ${outputPath}`);
-        
-        // Parse HTML with Cheerio
-        const $ = cheerio.load(content);
-        const headings = [];
-        let headingCount = 0;
-        
-        // Find all h2 elements and add IDs
-        $('h2').each(function() {
-          const $heading = $(this);
-          const title = $heading.text().trim();
-          
-          // Skip if already has an ID
-          if ($heading.attr('id')) {
-            return;
-          }
-          
-          // Generate anchor from title
-          const anchor = title
-            .toLowerCase()
-            .replace(/[^\w\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .trim();
-          
-          // Add ID to heading
-          $heading.attr('id', anchor);
-          headingCount++;
-          
-          // Add to headings array for TOC
-          headings.push({
-            title: title,
-            anchor: anchor
-          });
-        });
-        
-        // Generate TOC HTML if we have headings
-        if (headings.length > 0) {
-          let tocHTML = '<nav class="documentation-toc">\n';
-          tocHTML += '  <h3>On this page</h3>\n';
-          tocHTML += '  <ul>\n';
-          
-          headings.forEach(heading => {
-            tocHTML += `    <li>\n`;
-            tocHTML += `      <a href="#${heading.anchor}">${heading.title}</a>\n`;
-            tocHTML += `    </li>\n`;
-          });
-          
-          tocHTML += '  </ul>\n';
-          tocHTML += '</nav>';
-          
-          // Replace the TOC placeholder in the aside
-          $('nav.documentation-toc').replaceWith(tocHTML);
-          
-          console.log(`Added IDs to ${headingCount} headings and inserted TOC for ${outputPath}`);
-        }
-        
-        return $.html();
-      }
-      
-      return content;
+      return renderImagePlaceholders(content, options.imageOptions, {
+        inputPath: this.page?.inputPath,
+        // Image entries of the sitemap
+        onImages: options.features.sitemap ? (metadata) => recordPageImages(this.page?.url, metadata) : null,
+      });
     });
 
     // Load filters
-    filters(eleventyConfig);
-    rss(eleventyConfig);
-    shortcodes(eleventyConfig);
+    filters(eleventyConfig, localeSettings);
+    if (options.features.rss) rss(eleventyConfig);
+    shortcodes(eleventyConfig, options);
 
     return {
       dir: {
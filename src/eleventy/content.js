@@ -0,0 +1,261 @@
+import fs from "fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+/**
+ * External content folder (`contentPath`) made available as src/content, in one of two modes:
+ *
+ *   copy      incremental copy (size, then mtime, then hash), mirroring deletions of the files it
+ *             copied (listed in `contentSync.manifest`); re-synced while serving
+ *   symlink   src/content is a link to the external folder
+ *
+ * Eleventy only builds templates inside its input folder, so the external folder can't be read in place.
+ */
+
+export const SYNC_MODES = ["copy", "symlink"];
+
+/**
+ * Replace ${VARNAME} in a string with corresponding process.env values.
+ * Example: "${QUESBY_CONTENT_PATH}" → "D:/..."
+ */
+function expandEnv(str) {
+  if (typeof str !== "string") return str;
+  return str.replace(/\$\{([^}]+)\}/g, (_, key) => process.env[key] ?? "");
+}
+
+/**
+ * Absolute paths of the external content folder (`source`) and of src/content (`local`)
+ */
+export function resolveContentPaths(options, site = {}, cwd = process.cwd()) {
+  const raw = expandEnv(options.contentPath ?? site.contentPath);
+  const source = path.resolve(cwd, raw && raw.trim().length ? raw.trim() : "src/content");
+  const local = path.join(cwd, "src", "content");
+  return { source, local, external: source !== local };
+}
+
+/**
+ * Files of a folder by path relative to it ("/"-separated), skipping `ignore` names
+ */
+function listFiles(dir, ignore) {
+  const files = new Map();
+  const walk = (folder, prefix) => {
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      if (ignore.includes(entry.name)) continue;
+      const file = path.join(folder, entry.name);
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const stat = fs.statSync(file);
+      if (stat.isDirectory()) walk(file, relative);
+      else files.set(relative, stat);
+    }
+  };
+  if (dir && fs.existsSync(dir)) walk(dir, "");
+  return files;
+}
+
+function fileHash(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+/**
+ * Changes that bring `local` in line with `source`:
+ * { add, update, remove, touch, keep } (relative paths; `touch` files only differ by mtime)
+ * Only files of `synced` (copied by an earlier sync) are removed: other local files are kept
+ */
+export function planSync(source, local, settings, synced = new Set()) {
+  const sourceFiles = listFiles(source, settings.ignore);
+  const localFiles = listFiles(local, settings.ignore);
+  const plan = { add: [], update: [], remove: [], touch: [], keep: [] };
+
+  for (const [file, stat] of sourceFiles) {
+    const current = localFiles.get(file);
+    if (!current) {
+      plan.add.push(file);
+    } else if (current.size !== stat.size) {
+      plan.update.push(file);
+    } else if (Math.trunc(current.mtimeMs) !== Math.trunc(stat.mtimeMs)) {
+      // Same size, other date: only the content tells
+      const same = fileHash(path.join(source, file)) === fileHash(path.join(local, file));
+      (same ? plan.touch : plan.update).push(file);
+    }
+  }
+  for (const file of localFiles.keys()) {
+    if (sourceFiles.has(file)) continue;
+    (settings.delete && synced.has(file) ? plan.remove : plan.keep).push(file);
+  }
+  return plan;
+}
+
+/**
+ * Remove the empty folders left by deleted files, deepest first
+ */
+function pruneFolders(local, files) {
+  const folders = new Set();
+  for (const file of files) {
+    for (let dir = path.dirname(file); dir !== "."; dir = path.dirname(dir)) folders.add(dir);
+  }
+  const deepestFirst = Array.from(folders).sort((a, b) => b.split("/").length - a.split("/").length);
+  for (const folder of deepestFirst) {
+    const dir = path.join(local, folder);
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+  }
+}
+
+/**
+ * Apply a plan; copies keep the source mtime so the next sync can skip them
+ */
+export function applySync(plan, source, local) {
+  for (const file of [...plan.add, ...plan.update]) {
+    const from = path.join(source, file);
+    const to = path.join(local, file);
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+    const stat = fs.statSync(from);
+    fs.utimesSync(to, stat.atime, stat.mtime);
+  }
+  for (const file of plan.touch) {
+    const stat = fs.statSync(path.join(source, file));
+    fs.utimesSync(path.join(local, file), stat.atime, stat.mtime);
+  }
+  for (const file of plan.remove) {
+    fs.rmSync(path.join(local, file), { force: true });
+  }
+  pruneFolders(local, plan.remove);
+}
+
+/**
+ * Summary of a plan; `verbose` lists every file
+ */
+export function formatSyncPlan(plan, { dryRun = false, verbose = false } = {}) {
+  const lines = [];
+  if (verbose) {
+    plan.add.forEach((file) => lines.push(`  + ${file}`));
+    plan.update.forEach((file) => lines.push(`  ~ ${file}`));
+    plan.remove.forEach((file) => lines.push(`  - ${file}`));
+    plan.keep.forEach((file) => lines.push(`  ! ${file} (not in the content folder, kept)`));
+  }
+  const kept = plan.keep.length > 0 ? `, ${plan.keep.length} local only (kept)` : "";
+  const counts = `${plan.add.length} added, ${plan.update.length} updated, ${plan.remove.length} deleted${kept}`;
+  lines.push(dryRun ? `${counts} (dry run, nothing was changed)` : counts);
+  return lines.join("\n");
+}
+
+/**
+ * Manifest of the files copied from each content folder: { "<source>": ["posts/…/index.md", …] }
+ */
+function readManifest(settings) {
+  const file = settings.manifest ? path.resolve(settings.manifest) : null;
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeManifest(settings, manifest) {
+  if (!settings.manifest) return;
+  const file = path.resolve(settings.manifest);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Copy mode: sync `local` with `source`; returns the applied (or planned) changes
+ */
+export function syncContent(paths, settings, { dryRun = false } = {}) {
+  const { source, local } = paths;
+  // A link left by the symlink mode is replaced by a copy (syncing through it would delete from the source)
+  const linked = fs.lstatSync(local, { throwIfNoEntry: false })?.isSymbolicLink();
+  if (linked && !dryRun) fs.unlinkSync(local);
+
+  const manifest = readManifest(settings);
+  const plan = planSync(source, linked ? null : local, settings, new Set(manifest[source] || []));
+  if (!dryRun) {
+    fs.mkdirSync(local, { recursive: true });
+    applySync(plan, source, local);
+    // Every file of the content folder now has its copy
+    writeManifest(settings, { ...manifest, [source]: Array.from(listFiles(source, settings.ignore).keys()) });
+  }
+  return plan;
+}
+
+/**
+ * Symlink mode: point `local` to `source` (a junction on Windows, which needs no privileges)
+ */
+export function linkContent(paths) {
+  const { source, local } = paths;
+  const stat = fs.lstatSync(local, { throwIfNoEntry: false });
+  if (stat?.isSymbolicLink()) {
+    if (path.resolve(path.dirname(local), fs.readlinkSync(local)) === source) return false;
+    fs.unlinkSync(local);
+  } else if (stat) {
+    if (fs.readdirSync(local).length > 0) {
+      throw new Error(
+        `❌ Can't link ${local} to ${source}: the folder already has files.\n` +
+        `Remove it (it is a copy of the content) or set contentSync.mode to "copy"`
+      );
+    }
+    fs.rmdirSync(local);
+  }
+  fs.mkdirSync(path.dirname(local), { recursive: true });
+  fs.symlinkSync(source, local, "junction");
+  return true;
+}
+
+/**
+ * Make the content available in src/content before Eleventy reads it
+ */
+export function setupContent(options, site) {
+  const settings = options.contentSync;
+  if (!SYNC_MODES.includes(settings.mode)) {
+    throw new Error(`❌ Unknown contentSync.mode "${settings.mode}" (expected ${SYNC_MODES.join(", ")})`);
+  }
+  const paths = resolveContentPaths(options, site);
+
+  if (!fs.existsSync(paths.source)) {
+    throw new Error(
+      `❌ Content path not found:\n${paths.source}\n\n` +
+      `Check your contentPath in site.json or the .env variable QUESBY_CONTENT_PATH`
+    );
+  }
+  if (!paths.external) {
+    console.log(`✅ Content directory: ${paths.local}`);
+    return paths;
+  }
+
+  if (settings.mode === "symlink") {
+    const linked = linkContent(paths);
+    console.log(`${linked ? "🔗 Linked" : "✅ Content linked"}: ${paths.local} → ${paths.source}`);
+    return paths;
+  }
+
+  const plan = syncContent(paths, settings);
+  console.log(`🔄 Content synced from ${paths.source}: ${formatSyncPlan(plan)}`);
+  return paths;
+}
+
+/**
+ * Watch the external folder while serving and sync it before each rebuild (copy mode)
+ */
+export function register(eleventyConfig, paths, options) {
+  const settings = options.contentSync;
+
+  if (!paths.external || settings.mode !== "copy") {
+    eleventyConfig.addWatchTarget(paths.local);
+    return;
+  }
+
+  // Changes to the copy are picked up by Eleventy as usual (that's how it learns about deleted pages)
+  eleventyConfig.addWatchTarget(paths.source);
+
+  eleventyConfig.on("eleventy.beforeWatch", (changedFiles = []) => {
+    const changed = changedFiles.some((file) => {
+      const relative = path.relative(paths.source, path.resolve(file));
+      return !relative.startsWith("..") && !path.isAbsolute(relative);
+    });
+    if (!changed) return;
+
+    const plan = syncContent(paths, settings);
+    console.log(`🔄 Content synced: ${formatSyncPlan(plan, { verbose: true })}`);
+  });
+}
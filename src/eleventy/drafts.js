@@ -0,0 +1,93 @@
+import { DateTime } from "luxon";
+import { parseDate } from "./utils/dates.js";
+
+/**
+ * Drafts and scheduled publishing
+ * Unpublished pages are rendered while developing (or with the preview env variable)
+ * and skipped entirely in production builds, so they never reach collections,
+ * sitemap, feeds, search or redirects.
+ */
+
+/**
+ * Whether unpublished content should be rendered in this run
+ */
+export function isPreviewMode(settings) {
+  const runMode = process.env.ELEVENTY_RUN_MODE;
+  if (runMode === "serve" || runMode === "watch") return true;
+  const flag = String(process.env[settings.previewEnv] || "").trim().toLowerCase();
+  return ["1", "true", "yes"].includes(flag);
+}
+
+/**
+ * Publication status of a page: "draft", "scheduled" or "published"
+ * `publishDate` schedules any page; `date` only schedules dated content (posts, documentation)
+ * Dates without a time are read in `timezone` (or the page's own `timezone`)
+ */
+export function publicationStatus(data, settings, { datedContent = false, now = new Date(), timezone = "utc" } = {}) {
+  const zone = data.timezone || timezone;
+  const toDate = (value) => parseDate(value, zone)?.toJSDate() ?? null;
+
+  if (data.draft === true || data.draft === "true") {
+    return { status: "draft", publishDate: null };
+  }
+
+  if (settings.scheduling) {
+    const publishDate = toDate(data.publishDate) || (datedContent ? toDate(data.date) : null);
+    if (publishDate && publishDate > now) {
+      return { status: "scheduled", publishDate };
+    }
+  }
+
+  return { status: "published", publishDate: null };
+}
+
+/**
+ * Computed data for draft banners: `isDraft` and `draftBanner`
+ */
+export function draftComputedData(settings, isDatedContent, timezone = "utc") {
+  const statusOf = (data) =>
+    publicationStatus(data, settings, { datedContent: isDatedContent(data.page?.inputPath), timezone });
+
+  return {
+    isDraft: (data) => statusOf(data).status !== "published",
+    draftBanner: (data) => {
+      const { status, publishDate } = statusOf(data);
+      if (status === "draft") return "Draft: this page is not published";
+      if (status === "scheduled") {
+        return `Scheduled: this page will be published on ${DateTime.fromJSDate(publishDate, { zone: data.timezone || timezone }).toFormat("yyyy-MM-dd HH:mm")}`;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Skip unpublished pages outside of preview mode
+ */
+export function register(eleventyConfig, options, { isDatedContent, timezone = "utc" }) {
+  const settings = options.drafts;
+  let skipped = 0;
+
+  eleventyConfig.on("eleventy.before", () => {
+    skipped = 0;
+  });
+
+  eleventyConfig.addPreprocessor("quesby-drafts", "*", function (data) {
+    // Evaluated per build: the run mode is only known once Eleventy has started
+    if (isPreviewMode(settings)) return;
+    const { status } = publicationStatus(data, settings, {
+      datedContent: isDatedContent(this.inputPath),
+      timezone,
+    });
+    if (status !== "published") {
+      skipped++;
+      return false;
+    }
+  });
+
+  eleventyConfig.on("eleventy.after", () => {
+    if (skipped > 0) {
+      console.log(`[📝] Skipped ${skipped} draft or scheduled pages (set ${settings.previewEnv}=true to preview them)`);
+    }
+  });
+}
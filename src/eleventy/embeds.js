@@ -0,0 +1,460 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import * as cheerio from "cheerio";
+import Image from "@11ty/eleventy-img";
+import EleventyFetch from "@11ty/eleventy-fetch";
+import { escapeHtml, unescapeHtml } from "./utils/html.js";
+import { getImageService, imageSettings, isExternalImage } from "./images.js";
+
+/**
+ * Privacy-preserving embeds for videos, maps and social posts: a static facade that only
+ * loads the provider's iframe after a click. Video posters and post texts are fetched at
+ * build time, so visitors never contact the provider before asking for the embed.
+ */
+
+const CLIENT_PATH = fileURLToPath(new URL("../client/embeds.js", import.meta.url));
+
+// Wording of each kind of embed
+const KINDS = {
+  video: { noun: "video", action: "Play", link: "Watch", notice: "notice" },
+  map: { noun: "map", action: "Load map", link: "View", notice: "mapNotice" },
+  post: { noun: "post", action: "Load post", link: "View", notice: "postNotice" },
+};
+
+/**
+ * Text of the paragraphs of an HTML fragment (oEmbed markup, Mastodon statuses)
+ */
+function paragraphs(html) {
+  const $ = cheerio.load(html || "");
+  return $("p").map((_, p) => $(p).text().trim()).get().filter(Boolean);
+}
+
+function fetchJson(url) {
+  return EleventyFetch(url, { duration: "1w", type: "json" });
+}
+
+const PROVIDERS = {
+  youtube: {
+    name: "YouTube",
+    kind: "video",
+    embedUrl: ({ id, start }) => `https://www.youtube-nocookie.com/embed/${id}?autoplay=1${start ? `&start=${start}` : ""}`,
+    linkUrl: ({ id, start }) => `https://www.youtube.com/watch?v=${id}${start ? `&t=${start}s` : ""}`,
+    posters: async ({ id }) => [
+      `https://i.ytimg.com/vi/${id}/maxresdefault.jpg`,
+      `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+    ],
+  },
+  vimeo: {
+    name: "Vimeo",
+    kind: "video",
+    embedUrl: ({ id, start }) => `https://player.vimeo.com/video/${id}?autoplay=1&dnt=1${start ? `#t=${start}s` : ""}`,
+    linkUrl: ({ id, start }) => `https://vimeo.com/${id}${start ? `#t=${start}s` : ""}`,
+    posters: async ({ id }) => {
+      const oembed = await fetchJson(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(`https://vimeo.com/${id}`)}&width=1280`);
+      return oembed.thumbnail_url ? [oembed.thumbnail_url] : [];
+    },
+  },
+  openstreetmap: {
+    name: "OpenStreetMap",
+    kind: "map",
+    embedUrl: ({ lat, lon, zoom }) => {
+      // About the area a 16:9 frame shows at `zoom` (a 256px tile spans 360° / 2^zoom)
+      const dLon = 540 / 2 ** zoom;
+      const dLat = dLon * Math.cos((lat * Math.PI) / 180) * (9 / 16);
+      const bbox = [lon - dLon, lat - dLat, lon + dLon, lat + dLat].map((n) => n.toFixed(5)).join(",");
+      return `https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${lat},${lon}`;
+    },
+    linkUrl: ({ lat, lon, zoom }) => `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=${zoom}/${lat}/${lon}`,
+  },
+  googlemaps: {
+    name: "Google Maps",
+    kind: "map",
+    embedUrl: ({ lat, lon, zoom, query }) =>
+      `https://maps.google.com/maps?q=${encodeURIComponent(query || `${lat},${lon}`)}&z=${zoom}&output=embed`,
+    linkUrl: ({ lat, lon, query }) =>
+      `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query || `${lat},${lon}`)}`,
+  },
+  x: {
+    name: "X",
+    kind: "post",
+    embedUrl: ({ id }) => `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true`,
+    linkUrl: ({ url }) => url,
+    preview: async ({ url }) => {
+      const oembed = await fetchJson(`https://publish.twitter.com/oembed?url=${encodeURIComponent(url)}&omit_script=true&dnt=true`);
+      return { author: oembed.author_name, text: paragraphs(oembed.html) };
+    },
+  },
+  bluesky: {
+    name: "Bluesky",
+    kind: "post",
+    // The embed needs the author's DID, which a post URL with a handle doesn't carry
+    embedUrl: ({ did, id }) => (did ? `https://embed.bsky.app/embed/${did}/app.bsky.feed.post/${id}` : null),
+    linkUrl: ({ url }) => url,
+    preview: async ({ url }) => {
+      const oembed = await fetchJson(`https://embed.bsky.app/oembed?url=${encodeURIComponent(url)}`);
+      const uri = cheerio.load(oembed.html || "")("[data-bluesky-uri]").attr("data-bluesky-uri") || "";
+      return { author: oembed.author_name, text: paragraphs(oembed.html), did: uri.match(/^at:\/\/(did:[^/]+)/)?.[1] };
+    },
+  },
+  mastodon: {
+    name: "Mastodon",
+    kind: "post",
+    embedUrl: ({ host, user, id }) => `https://${host}/@${user}/${id}/embed`,
+    linkUrl: ({ url }) => url,
+    preview: async ({ host, id }) => {
+      const status = await fetchJson(`https://${host}/api/v1/statuses/${id}`);
+      return { author: status.account?.display_name || status.account?.acct, text: paragraphs(status.content) };
+    },
+  },
+};
+
+const PLAY_ICON =
+  `<svg viewBox="0 0 68 48" width="68" height="48" aria-hidden="true" focusable="false">` +
+  `<path d="M66.5 7.7a8.5 8.5 0 0 0-6-6C55.2.3 34 .3 34 .3s-21.2 0-26.5 1.4a8.5 8.5 0 0 0-6 6C.1 13 .1 24 .1 24s0 11 1.4 16.3a8.5 8.5 0 0 0 6 6C12.8 47.7 34 47.7 34 47.7s21.2 0 26.5-1.4a8.5 8.5 0 0 0 6-6C67.9 35 67.9 24 67.9 24s0-11-1.4-16.3z" fill="currentColor"/>` +
+  `<path d="M45 24 27 14v20" fill="#fff"/></svg>`;
+
+/**
+ * { lat, lon } of a "lat,lon" string, or null
+ */
+function parseCoordinates(value) {
+  const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const [lat, lon] = [Number(match[1]), Number(match[2])];
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+}
+
+function decodePlace(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Embed of a video, map or social post URL, or of a bare value for `provider`
+ * (a video id, "lat,lon" coordinates, or a place for Google Maps)
+ * Returns { provider, kind, ... } or null:
+ *   video  { id, start }
+ *   map    { lat, lon, zoom, query }
+ *   post   { id, url, user, host?, did? }
+ */
+export function parseEmbedUrl(value, provider = null) {
+  const input = String(value || "").trim();
+  const kind = PROVIDERS[provider]?.kind;
+  if (kind === "video" && /^[\w-]+$/.test(input)) {
+    return { provider, kind, id: input, start: null };
+  }
+  if (kind === "map" && !/^https?:\/\//i.test(input)) {
+    const coordinates = parseCoordinates(input);
+    if (coordinates) return { provider, kind, ...coordinates, zoom: null, query: null };
+    if (provider === "googlemaps" && input) return { provider, kind, lat: null, lon: null, zoom: null, query: input };
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.replace(/^(www\.|m\.|mobile\.)/, "");
+  const start = parseInt(url.searchParams.get("t") || url.searchParams.get("start") || url.hash.replace(/^#t=/, ""), 10) || null;
+
+  if (host === "youtu.be") {
+    const id = url.pathname.slice(1).split("/")[0];
+    return id ? { provider: "youtube", kind: "video", id, start } : null;
+  }
+  if (host === "youtube.com" || host === "youtube-nocookie.com") {
+    const id = url.searchParams.get("v") || url.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/)?.[1];
+    return id ? { provider: "youtube", kind: "video", id, start } : null;
+  }
+  if (host === "vimeo.com" || host === "player.vimeo.com") {
+    const id = url.pathname.match(/^\/(?:video\/)?(\d+)/)?.[1];
+    return id ? { provider: "vimeo", kind: "video", id, start } : null;
+  }
+
+  if (host === "openstreetmap.org") {
+    // ?mlat=…&mlon=… (marker) or #map=zoom/lat/lon (view)
+    const view = url.hash.match(/map=(\d+)\/(-?[\d.]+)\/(-?[\d.]+)/);
+    const coordinates = parseCoordinates(`${url.searchParams.get("mlat") ?? view?.[2]},${url.searchParams.get("mlon") ?? view?.[3]}`);
+    return coordinates ? { provider: "openstreetmap", kind: "map", ...coordinates, zoom: view ? Number(view[1]) : null, query: null } : null;
+  }
+  if (/^(maps\.)?google\.[a-z.]+$/.test(host) && (host.startsWith("maps.") || url.pathname.startsWith("/maps"))) {
+    // /maps/place/<name>/@lat,lon,15z or ?q=<place>
+    const at = url.pathname.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?)z)?/);
+    const place = url.pathname.match(/\/place\/([^/]+)/)?.[1];
+    const query = url.searchParams.get("q") || url.searchParams.get("query") || (place ? decodePlace(place) : null);
+    const coordinates = at ? parseCoordinates(`${at[1]},${at[2]}`) : null;
+    if (!coordinates && !query) return null;
+    return {
+      provider: "googlemaps",
+      kind: "map",
+      lat: coordinates?.lat ?? null,
+      lon: coordinates?.lon ?? null,
+      zoom: at?.[3] ? Math.round(Number(at[3])) : null,
+      query,
+    };
+  }
+
+  if (host === "x.com" || host === "twitter.com") {
+    const status = url.pathname.match(/^\/(\w+)\/status(?:es)?\/(\d+)/);
+    if (!status) return null;
+    const [, user, id] = status;
+    return { provider: "x", kind: "post", id, user, url: `https://x.com/${user}/status/${id}` };
+  }
+  if (host === "bsky.app") {
+    const post = url.pathname.match(/^\/profile\/([^/]+)\/post\/(\w+)/);
+    if (!post) return null;
+    const [, user, id] = post;
+    const did = user.startsWith("did:") ? user : null;
+    return { provider: "bluesky", kind: "post", id, user, did, url: `https://bsky.app/profile/${user}/post/${id}` };
+  }
+  // Mastodon runs on any server: https://<server>/@user/<status id>
+  const toot = url.protocol === "https:" && url.pathname.match(/^\/@([\w.-]+(?:@[\w.-]+)?)\/(\d{6,})\/?$/);
+  if (toot) {
+    const [, user, id] = toot;
+    return { provider: "mastodon", kind: "post", id, user, host: url.host, url: `https://${url.host}/@${user}/${id}` };
+  }
+  return null;
+}
+
+/**
+ * Poster <picture>: a local image, or the provider thumbnail downloaded at build time
+ */
+async function posterHtml(embed, poster, options, context) {
+  const { imageOptions, embeds: settings } = options;
+  const { processing, attributes } = imageSettings(imageOptions, { preset: settings.posterPreset });
+
+  // The poster is decorative: the button carries the video title
+  if (poster && !isExternalImage(poster)) {
+    return getImageService(imageOptions).html(poster, "", { preset: settings.posterPreset }, context);
+  }
+
+  if (!poster && !settings.fetchPosters) return "";
+
+  try {
+    const sources = poster ? [poster] : await PROVIDERS[embed.provider].posters(embed);
+    for (const source of sources) {
+      try {
+        const metadata = await Image(source, { ...processing, cacheOptions: { duration: "1w" } });
+        return Image.generateHTML(metadata, { alt: "", ...attributes });
+      } catch {
+        // maxresdefault does not exist for every video: try the next size
+      }
+    }
+    console.warn(`⚠️ No poster available for ${PROVIDERS[embed.provider].name} video ${embed.id}`);
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch the poster of ${PROVIDERS[embed.provider].name} video ${embed.id}: ${error.message}`);
+  }
+  return "";
+}
+
+/**
+ * Author and text of a social post, fetched at build time: { author, text: [paragraphs], did? }
+ */
+async function postPreview(embed, settings) {
+  if (!settings.fetchPosts) return {};
+  try {
+    return await PROVIDERS[embed.provider].preview(embed);
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch the ${PROVIDERS[embed.provider].name} post ${embed.url}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Inside of the facade frame, by kind of embed
+ */
+async function facadeHtml(embed, label, link, { poster, preview, canLoad }, options, context) {
+  const provider = PROVIDERS[embed.provider];
+  const { action, link: verb } = KINDS[provider.kind];
+  const button = `    <button type="button" class="embed-load" data-embed-play aria-label="${escapeHtml(`${action}: ${label}`)}">${escapeHtml(action)}</button>`;
+  const noscript = `    <noscript><a href="${escapeHtml(link)}">${escapeHtml(`${verb} "${label}" on ${provider.name}`)}</a></noscript>`;
+
+  if (provider.kind === "video") {
+    const picture = await posterHtml(embed, poster, options, context);
+    return [
+      `    <button type="button" class="embed-play" data-embed-play aria-label="${escapeHtml(`Play: ${label}`)}">`,
+      picture ? `      <span class="embed-poster">${picture}</span>` : "",
+      `      <span class="embed-play-icon">${PLAY_ICON}</span>`,
+      `    </button>`,
+      noscript,
+    ];
+  }
+  if (provider.kind === "map") {
+    return [button, noscript];
+  }
+
+  // Posts show their text (when it could be fetched) and a link to the original
+  const byline = preview.author ? `${preview.author} on ${provider.name}` : `${verb} on ${provider.name}`;
+  return [
+    preview.text?.length ? `    <blockquote class="embed-preview" cite="${escapeHtml(link)}">` : "",
+    ...(preview.text || []).map((text) => `      <p>${escapeHtml(text)}</p>`),
+    preview.text?.length ? `    </blockquote>` : "",
+    `    <p class="embed-source"><a href="${escapeHtml(link)}">${escapeHtml(byline)}</a></p>`,
+    canLoad ? button : "",
+  ];
+}
+
+/**
+ * Facade markup for an embed
+ */
+export async function renderEmbed(embed, title, { poster = null, start = null, zoom = null } = {}, options, context = {}) {
+  const settings = options.embeds;
+  const provider = PROVIDERS[embed.provider];
+  const preview = provider.kind === "post" ? await postPreview(embed, settings) : {};
+  const target = {
+    ...embed,
+    start: Number(start) || embed.start,
+    zoom: Number(zoom) || embed.zoom || settings.mapZoom,
+    did: embed.did || preview.did,
+  };
+  const label = title || `${provider.name} ${KINDS[provider.kind].noun}`;
+  const notice = settings[KINDS[provider.kind].notice].replace("{provider}", provider.name);
+  const src = provider.embedUrl(target);
+  const link = provider.linkUrl(target);
+  const frame = await facadeHtml(embed, label, link, { poster, preview, canLoad: Boolean(src) }, options, context);
+
+  return [
+    `<figure class="embed embed-${provider.kind} embed-${embed.provider}"${src ? ` data-embed-src="${escapeHtml(src)}"` : ""} data-embed-title="${escapeHtml(label)}">`,
+    `  <div class="embed-frame" data-embed-frame>`,
+    ...frame,
+    `  </div>`,
+    `  <figcaption class="embed-caption"><span class="embed-title">${escapeHtml(label)}</span>`,
+    `    <span class="embed-notice">${escapeHtml(notice)}</span></figcaption>`,
+    `</figure>`,
+    `<script type="module" src="${escapeHtml(settings.clientPath)}"></script>`,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Link to the embedded content on the provider's site
+ */
+function embedLink(embed, settings) {
+  return PROVIDERS[embed.provider].linkUrl({ ...embed, zoom: embed.zoom || settings.mapZoom });
+}
+
+/**
+ * Rehype plugin: an image whose source is a video, map or post URL becomes an embed placeholder
+ * ![Video title](https://www.youtube.com/watch?v=ID), replaced by the transform below
+ * Inside running text (where a <figure> can't go) it becomes a link to the provider
+ */
+export function rehypeEmbeds(settings = {}) {
+  return (tree, file) => {
+    const visit = (node, parent) => {
+      const embed = node.type === "element" && node.tagName === "img" && parseEmbedUrl(node.properties?.src);
+      if (embed) {
+        const title = node.properties.alt || "";
+        const standalone = parent?.tagName === "p" && parent.children.every((child) =>
+          child === node || (child.type === "text" && !child.value.trim())
+        );
+
+        if (standalone) {
+          Object.assign(parent, {
+            tagName: "div",
+            properties: {
+              "data-embed-url": node.properties.src,
+              "data-embed-title": title,
+              "data-embed-placeholder": "true",
+              "data-embed-input": file.path || undefined,
+            },
+            children: [],
+          });
+        } else {
+          const provider = PROVIDERS[embed.provider];
+          Object.assign(node, {
+            tagName: "a",
+            properties: { href: embedLink(embed, settings), className: ["embed-link"] },
+            children: [{ type: "text", value: title || `${provider.name} ${KINDS[provider.kind].noun}` }],
+          });
+        }
+        return;
+      }
+      if (node.children) {
+        [...node.children].forEach((child) => visit(child, node));
+      }
+    };
+    visit(tree, null);
+  };
+}
+
+// Embed placeholders written by rehypeEmbeds
+const PLACEHOLDER = /<div data-embed-url="[^"]*"(?:\s[\w-]+="[^"]*")*><\/div>/g;
+
+function placeholderAttr(tag, name) {
+  const value = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return value ? unescapeHtml(value[1]) : null;
+}
+
+/**
+ * Replace embed placeholders with plain links to the providers (feeds, where no script runs)
+ */
+export function embedPlaceholderLinks(content, settings = {}) {
+  return content.replace(PLACEHOLDER, (tag) => {
+    const embed = parseEmbedUrl(placeholderAttr(tag, "data-embed-url"));
+    const provider = PROVIDERS[embed.provider];
+    const title = placeholderAttr(tag, "data-embed-title") || `${provider.name} ${KINDS[provider.kind].noun}`;
+    return `<p><a href="${escapeHtml(embedLink(embed, settings))}">${escapeHtml(`${title} (${provider.name})`)}</a></p>`;
+  });
+}
+
+/**
+ * Register the embed shortcodes, the markdown placeholder transform and the client module
+ */
+export function register(eleventyConfig, options) {
+  const settings = options.embeds;
+
+  // `provider` restricts the shortcode to one provider, `kind` to videos, maps or posts
+  const shortcode = ({ provider = null, kind = null } = {}) => async function (value, title, params = {}) {
+    const bare = provider || (kind === "map" ? params.provider || "openstreetmap" : null);
+    const embed = parseEmbedUrl(value, bare);
+    if (!embed || (provider && embed.provider !== provider) || (kind && embed.kind !== kind)) {
+      const what = provider ? `${PROVIDERS[provider].name} video` : kind ? KINDS[kind].noun : "embed";
+      throw new Error(`❌ Unsupported ${what}: "${value}"`);
+    }
+    if (!title) throw new Error(`Missing title for embed ${value}`);
+    return renderEmbed(embed, title, params, options, { inputPath: this?.page?.inputPath });
+  };
+
+  // Usage: {% youtube "dQw4w9WgXcQ", "Video title", { start: 30, poster: "cover.jpg" } %}
+  eleventyConfig.addShortcode("youtube", shortcode({ provider: "youtube" }));
+  eleventyConfig.addShortcode("vimeo", shortcode({ provider: "vimeo" }));
+  // Usage: {% map "45.4642,9.1900", "Our office", { zoom: 16, provider: "googlemaps" } %}
+  eleventyConfig.addShortcode("map", shortcode({ kind: "map" }));
+  // Usage: {% socialPost "https://mastodon.social/@user/112233445566", "Announcement" %}
+  eleventyConfig.addShortcode("socialPost", shortcode({ kind: "post" }));
+  // Usage: {% embed "https://vimeo.com/76979871", "Video title" %}
+  eleventyConfig.addShortcode("embed", shortcode());
+
+  eleventyConfig.addTransform("processEmbedPlaceholders", async function (content, outputPath) {
+    if (!outputPath || !outputPath.endsWith(".html") || !content.includes('data-embed-placeholder="true"')) {
+      return content;
+    }
+
+    const replacements = await Promise.all(
+      Array.from(content.matchAll(PLACEHOLDER), async ([tag]) => {
+        const embed = parseEmbedUrl(placeholderAttr(tag, "data-embed-url"));
+        const context = { inputPath: placeholderAttr(tag, "data-embed-input") || this.page?.inputPath };
+        return [tag, await renderEmbed(embed, placeholderAttr(tag, "data-embed-title"), {}, options, context)];
+      })
+    );
+
+    let processed = content;
+    for (const [tag, html] of replacements) {
+      processed = processed.replace(tag, () => html);
+    }
+    return processed;
+  });
+
+  eleventyConfig.addTemplate("quesby-embeds-client.11ty.js", {
+    data: {
+      permalink: settings.clientPath,
+      eleventyExcludeFromCollections: true,
+      layout: false,
+    },
+    render() {
+      return fs.readFileSync(CLIENT_PATH, "utf8");
+    },
+  });
+}
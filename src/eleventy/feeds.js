@@ -0,0 +1,339 @@
+import * as cheerio from "cheerio";
+import { escapeHtml } from "./utils/html.js";
+import { absoluteUrl } from "./utils/url.js";
+import { renderImagePlaceholders } from "./images.js";
+import { embedPlaceholderLinks } from "./embeds.js";
+import { parseDate } from "./utils/dates.js";
+
+/**
+ * Atom, RSS 2.0 and JSON Feed 1.1 feeds of the `posts` collection,
+ * plus optional per-tag and per-category feeds
+ */
+
+export const FEED_FORMATS = {
+  atom: { type: "application/atom+xml", label: "Atom" },
+  rss: { type: "application/rss+xml", label: "RSS" },
+  json: { type: "application/feed+json", label: "JSON Feed" },
+};
+
+const CONTENT_MODES = ["full", "summary"];
+
+// Tags shared by every post carry no feed of their own
+const TAGS_EXCLUDE = new Set(["all", "nav", "post", "posts", "blog"]);
+
+function toDateTime(value, zone) {
+  return parseDate(value, zone)?.toUTC() ?? null;
+}
+
+function listOf(value) {
+  return (Array.isArray(value) ? value : value ? [value] : []).map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Output path of a feed format inside a feed folder: "/tags/news/" + "/feed.xml"
+ */
+function feedPath(dir, file) {
+  return `${dir.replace(/\/+$/, "")}/${file.replace(/^\/+/, "")}`;
+}
+
+/**
+ * Rewrite relative URLs (href, src, srcset, poster) against the post URL
+ * Scripts and styles are dropped: feed readers don't run them
+ */
+export function absoluteHtml(html, baseUrl) {
+  const $ = cheerio.load(html || "", null, false);
+  $("script, style, template").remove();
+  const resolve = (value) => {
+    try {
+      return new URL(value.trim(), baseUrl).href;
+    } catch {
+      return value;
+    }
+  };
+
+  for (const attr of ["href", "src", "poster"]) {
+    $(`[${attr}]`).each((i, element) => {
+      $(element).attr(attr, resolve($(element).attr(attr)));
+    });
+  }
+  $("[srcset]").each((i, element) => {
+    const srcset = $(element).attr("srcset")
+      .split(",")
+      .map((candidate) => {
+        const [url, ...descriptor] = candidate.trim().split(/\s+/);
+        return [resolve(url), ...descriptor].join(" ");
+      })
+      .join(", ");
+    $(element).attr("srcset", srcset);
+  });
+  return $.html();
+}
+
+/**
+ * Plain-text summary: the description, or the first paragraph of the content
+ */
+function summaryOf(item) {
+  if (item.data.description) return String(item.data.description);
+  const $ = cheerio.load(item.templateContent || "", null, false);
+  return $("p").first().text().replace(/\s+/g, " ").trim();
+}
+
+// Feed content of each post, rendered once per build for every feed and format
+const contents = new Map(); // absolute post URL -> Promise<html>
+
+/**
+ * Post content for feeds: templateContent is taken before transforms run,
+ * so image and embed placeholders are rendered here
+ */
+function feedContent(item, url, options) {
+  if (!contents.has(url)) {
+    contents.set(url, (async () => {
+      // Reading templateContent makes Eleventy render the posts before the feed
+      let html = item.templateContent || "";
+      html = await renderImagePlaceholders(html, options.imageOptions, { inputPath: item.inputPath });
+      html = embedPlaceholderLinks(html, options.embeds);
+      return absoluteHtml(html, url);
+    })());
+  }
+  return contents.get(url);
+}
+
+/**
+ * Feed entries of a list of posts, newest first (dates without a time are read in `timezone`)
+ */
+export async function feedEntries(posts, site, options, timezone = "utc") {
+  const settings = options.feeds;
+  const items = [...posts]
+    .filter((item) => item.url && !item.data.noindex)
+    .sort((a, b) => (b.date || 0) - (a.date || 0))
+    .slice(0, settings.limit || undefined);
+
+  return Promise.all(items.map(async (item) => {
+    const url = absoluteUrl(item.url, site.url);
+    const zone = item.data.timezone || timezone;
+    const published = toDateTime(item.data.date || item.date, zone);
+    const updated = toDateTime(item.data.lastUpdated, zone) || published;
+    return {
+      id: url,
+      url,
+      title: item.data.title || item.fileSlug,
+      summary: summaryOf(item),
+      content: settings.content === "full" ? await feedContent(item, url, options) : null,
+      published,
+      updated,
+      tags: listOf(item.data.tags).filter((tag) => !TAGS_EXCLUDE.has(tag)),
+      author: item.data.author || null,
+    };
+  }));
+}
+
+/**
+ * Every feed of the site: the blog feed, then tag and category feeds when enabled
+ * Tag and category feeds come from the `postsByTagSlug` / `postsByCategorySlug` collections,
+ * keeping only the posts of the blog feed
+ * Each feed: { title, dir, homeUrl, posts }
+ */
+export function feedList(posts, settings, collections = {}) {
+  const feeds = [{ title: null, dir: settings.path, homeUrl: settings.homeUrl, posts }];
+  const feedPaths = new Set(posts.map((item) => item.inputPath));
+
+  const taxonomies = [
+    { enabled: settings.tags, path: settings.tagPath, names: collections.tagList, bySlug: collections.postsByTagSlug },
+    { enabled: settings.categories, path: settings.categoryPath, names: collections.categoryList, bySlug: collections.postsByCategorySlug },
+  ];
+
+  for (const { enabled, path, names, bySlug } of taxonomies) {
+    if (!enabled) continue;
+    for (const { slug, name } of names || []) {
+      if (TAGS_EXCLUDE.has(slug)) continue;
+      const inTaxonomy = new Set((bySlug?.[slug] || []).map((item) => item.inputPath));
+      const group = posts.filter((item) => inTaxonomy.has(item.inputPath));
+      if (group.length === 0) continue;
+      const dir = path.replace("{slug}", slug);
+      feeds.push({ title: name, dir, homeUrl: dir, posts: group });
+    }
+  }
+
+  return feeds;
+}
+
+function authorName(author) {
+  if (!author) return null;
+  return typeof author === "string" ? author : author.name || null;
+}
+
+/**
+ * Newest post date of a feed, null when no post has one (the build time would change on every build)
+ */
+function latestUpdate(entries) {
+  return entries.map((entry) => entry.updated).filter(Boolean).sort((a, b) => b - a)[0] || null;
+}
+
+/**
+ * Feed metadata shared by the three formats
+ */
+function feedMeta(feed, site, settings, format) {
+  const siteTitle = settings.title || site.name || "";
+  return {
+    title: feed.title ? `${siteTitle} - ${feed.title}` : siteTitle,
+    description: settings.description || site.description || "",
+    language: site.language || "en",
+    homeUrl: absoluteUrl(feed.homeUrl, site.url),
+    feedUrl: absoluteUrl(feedPath(feed.dir, settings.formats[format]), site.url),
+    author: authorName(site.author),
+  };
+}
+
+export function renderAtom(feed, entries, site, settings) {
+  const meta = feedMeta(feed, site, settings, "atom");
+  const updated = latestUpdate(entries);
+
+  const items = entries.map((entry) => [
+    "  <entry>",
+    `    <title>${escapeHtml(entry.title)}</title>`,
+    `    <link href="${escapeHtml(entry.url)}"/>`,
+    `    <id>${escapeHtml(entry.id)}</id>`,
+    entry.published ? `    <published>${entry.published.toISO()}</published>` : "",
+    entry.updated || updated ? `    <updated>${(entry.updated || updated).toISO()}</updated>` : "",
+    authorName(entry.author) ? `    <author><name>${escapeHtml(authorName(entry.author))}</name></author>` : "",
+    ...entry.tags.map((tag) => `    <category term="${escapeHtml(tag)}"/>`),
+    entry.summary ? `    <summary>${escapeHtml(entry.summary)}</summary>` : "",
+    entry.content !== null ? `    <content type="html">${escapeHtml(entry.content)}</content>` : "",
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeHtml(meta.language)}">`,
+    `  <title>${escapeHtml(meta.title)}</title>`,
+    meta.description ? `  <subtitle>${escapeHtml(meta.description)}</subtitle>` : "",
+    `  <link href="${escapeHtml(meta.feedUrl)}" rel="self"/>`,
+    `  <link href="${escapeHtml(meta.homeUrl)}"/>`,
+    updated ? `  <updated>${updated.toISO()}</updated>` : "",
+    `  <id>${escapeHtml(meta.homeUrl)}</id>`,
+    meta.author ? `  <author><name>${escapeHtml(meta.author)}</name></author>` : "",
+    ...items,
+    `</feed>`,
+  ].filter(Boolean).join("\n");
+}
+
+export function renderRss(feed, entries, site, settings) {
+  const meta = feedMeta(feed, site, settings, "rss");
+  const lastBuild = latestUpdate(entries);
+
+  const items = entries.map((entry) => [
+    "    <item>",
+    `      <title>${escapeHtml(entry.title)}</title>`,
+    `      <link>${escapeHtml(entry.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeHtml(entry.id)}</guid>`,
+    entry.published ? `      <pubDate>${entry.published.toRFC2822()}</pubDate>` : "",
+    authorName(entry.author) ? `      <dc:creator>${escapeHtml(authorName(entry.author))}</dc:creator>` : "",
+    ...entry.tags.map((tag) => `      <category>${escapeHtml(tag)}</category>`),
+    `      <description>${escapeHtml(entry.content ?? entry.summary)}</description>`,
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">`,
+    `  <channel>`,
+    `    <title>${escapeHtml(meta.title)}</title>`,
+    `    <link>${escapeHtml(meta.homeUrl)}</link>`,
+    `    <description>${escapeHtml(meta.description)}</description>`,
+    `    <language>${escapeHtml(meta.language)}</language>`,
+    lastBuild ? `    <lastBuildDate>${lastBuild.toRFC2822()}</lastBuildDate>` : "",
+    `    <atom:link href="${escapeHtml(meta.feedUrl)}" rel="self" type="${FEED_FORMATS.rss.type}"/>`,
+    ...items,
+    `  </channel>`,
+    `</rss>`,
+  ].filter(Boolean).join("\n");
+}
+
+export function renderJsonFeed(feed, entries, site, settings) {
+  const meta = feedMeta(feed, site, settings, "json");
+
+  const json = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    home_page_url: meta.homeUrl,
+    feed_url: meta.feedUrl,
+    description: meta.description || undefined,
+    language: meta.language,
+    authors: meta.author ? [{ name: meta.author }] : undefined,
+    items: entries.map((entry) => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_html: entry.content ?? undefined,
+      content_text: entry.content === null ? entry.summary : undefined,
+      summary: entry.summary || undefined,
+      date_published: entry.published?.toISO() || undefined,
+      date_modified: entry.updated?.toISO() || undefined,
+      authors: authorName(entry.author) ? [{ name: authorName(entry.author) }] : undefined,
+      tags: entry.tags.length > 0 ? entry.tags : undefined,
+    })),
+  };
+  return JSON.stringify(json, null, 2);
+}
+
+const RENDERERS = { atom: renderAtom, rss: renderRss, json: renderJsonFeed };
+
+/**
+ * `<link rel="alternate">` entries of the blog feed, for the SEO head
+ */
+export function feedLinks(settings, site) {
+  const title = settings.title || site?.name || "";
+  return Object.entries(settings.formats)
+    .filter(([, file]) => file)
+    .map(([format, file]) => ({
+      type: FEED_FORMATS[format].type,
+      title: `${title} (${FEED_FORMATS[format].label})`.trim(),
+      url: absoluteUrl(feedPath(settings.path, file), site?.url),
+    }));
+}
+
+/**
+ * Register the feed templates
+ */
+export function register(eleventyConfig, options, { getPosts, timezone = "utc" }) {
+  const settings = options.feeds;
+  if (!CONTENT_MODES.includes(settings.content)) {
+    throw new Error(`❌ Invalid feeds.content "${settings.content}": expected one of ${CONTENT_MODES.join(", ")}`);
+  }
+  const unknown = Object.keys(settings.formats).filter((format) => !FEED_FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new Error(`❌ Unknown feed format "${unknown[0]}": expected one of ${Object.keys(FEED_FORMATS).join(", ")}`);
+  }
+
+  eleventyConfig.on("eleventy.before", () => {
+    contents.clear();
+  });
+
+  eleventyConfig.addCollection("feedPosts", (collectionApi) => getPosts(collectionApi));
+
+  for (const [format, file] of Object.entries(settings.formats)) {
+    if (!file) continue;
+
+    eleventyConfig.addTemplate(`quesby-feed-${format}.11ty.js`, {
+      data: {
+        pagination: {
+          data: "collections.feedPosts",
+          size: 1,
+          alias: "feed",
+          addAllPagesToCollections: false,
+          before: (posts, data) => feedList(posts, settings, data.collections),
+        },
+        // the taxonomy collections are read in `before`, outside the pagination target
+        eleventyImport: { collections: ["tagList", "postsByTagSlug", "categoryList", "postsByCategorySlug"] },
+        permalink: (data) => feedPath(data.feed.dir, file),
+        eleventyExcludeFromCollections: true,
+        layout: false,
+      },
+      async render(data) {
+        const site = data.site || {};
+        const entries = await feedEntries(data.feed.posts, site, options, timezone);
+        return RENDERERS[format](data.feed, entries, site, settings);
+      },
+    });
+  }
+}
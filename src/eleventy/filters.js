@@ -1,10 +1,14 @@
-import { DateTime } from "luxon";
+import { parseDate, normalizeLocale } from "./utils/dates.js";
+
+export default function(eleventyConfig, { locale: defaultLocale = "en-US", timezone: defaultZone = "utc", currency: defaultCurrency = "USD" } = {}) {
+  // Page overrides (`locale` and `timezone` frontmatter) win over the site settings
+  const pageLocale = (ctx, locale) => normalizeLocale(locale || ctx?.locale, defaultLocale);
+  const pageZone = (ctx) => ctx?.timezone || defaultZone;
 
-export default function(eleventyConfig) {
   // Format date to W3C (ISO 8601) for sitemaps
-  eleventyConfig.addFilter("w3cDate", dateObj => {
-    if (!dateObj) return "";
-    return DateTime.fromJSDate(dateObj, { zone: "utc" }).toFormat("yyyy-MM-dd");
+  eleventyConfig.addFilter("w3cDate", function(dateObj) {
+    const dt = parseDate(dateObj, pageZone(this?.ctx));
+    return dt ? dt.toFormat("yyyy-MM-dd") : "";
   });
 
   // URL encoding filter (equivalent to Liquid's url_encode)
@@ -63,47 +67,69 @@ export default function(eleventyConfig) {
   // Add current year filter
   eleventyConfig.addFilter("currentYear", () => new Date().getFullYear());
 
-  // Date formatting with Luxon
-  eleventyConfig.addFilter("date", (dateObj, format = "dd LLLL yyyy", locale = "en-US") => {
-    let dt;
-
-    if (typeof dateObj === 'function') {
-      dateObj = dateObj();
-    }
-    if (typeof dateObj === 'string') {
-      dt = DateTime.fromISO(dateObj) || DateTime.fromSQL(dateObj) || DateTime.fromFormat(dateObj, 'yyyy-MM-dd');
-    } else if (dateObj instanceof Date) {
-      dt = DateTime.fromJSDate(dateObj);
-    } else {
-      dt = DateTime.fromJSDate(new Date(dateObj));
-    }
-
-    // Validate and normalize locale
-    // Luxon accepts locales like "en-US", "en_US", "en", etc.
-    // Normalize underscore to hyphen and validate
-    let validLocale = "en-US";
-    if (locale && typeof locale === "string" && locale.trim()) {
-      // Normalize locale format (en_US -> en-US)
-      const normalized = locale.trim().replace(/_/g, "-");
-      // Try to use the locale with Luxon, fallback on error
-      try {
-        // Test if locale is valid by trying to set it
-        dt.setLocale(normalized);
-        validLocale = normalized;
-      } catch (e) {
-        // If locale fails, try just the language code (en-US -> en)
-        const langCode = normalized.split("-")[0];
-        try {
-          dt.setLocale(langCode);
-          validLocale = langCode;
-        } catch (e2) {
-          // Fallback to default
-          validLocale = "en-US";
-        }
-      }
-    }
-
-    return dt.setZone("utc").setLocale(validLocale).toFormat(format);
+  // Date formatting with Luxon, in the page locale and the site timezone
+  // Usage: {{ date | date("d LLLL yyyy") }}, {{ date | date("DDD", "it") }}
+  eleventyConfig.addFilter("date", function(dateObj, format = "dd LLLL yyyy", locale = null) {
+    const dt = parseDate(dateObj, pageZone(this?.ctx));
+    if (!dt) return "";
+    return dt.setLocale(pageLocale(this?.ctx, locale)).toFormat(format);
+  });
+
+  // Time from now: "3 days ago", "in 2 hours"
+  // Usage: {{ date | relativeTime }}, {{ date | relativeTime({ style: "short", unit: "days" }) }}
+  eleventyConfig.addFilter("relativeTime", function(dateObj, options = {}) {
+    const dt = parseDate(dateObj, pageZone(this?.ctx));
+    if (!dt) return "";
+    return dt.toRelative({ ...options, locale: pageLocale(this?.ctx, options.locale) }) || "";
+  });
+
+  // Number with the page locale's separators
+  // Usage: {{ 1234.5 | formatNumber({ decimals: 2 }) }}, {{ 1234.5 | formatNumber({ thousandsSeparator: "'" }) }}
+  eleventyConfig.addFilter("formatNumber", function(num, options = {}) {
+    const value = typeof num === "string" && num.trim() !== "" ? Number(num) : num;
+    if (typeof value !== "number" || isNaN(value)) return num;
+
+    const { decimals = 0, locale = null, thousandsSeparator = null, decimalSeparator = null, ...intlOptions } = options;
+    const format = new Intl.NumberFormat(pageLocale(this?.ctx, locale), {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      ...intlOptions,
+    });
+    if (thousandsSeparator === null && decimalSeparator === null) return format.format(value);
+
+    // Explicit separators override the locale's
+    return format.formatToParts(value).map(({ type, value: part }) => {
+      if (type === "group" && thousandsSeparator !== null) return thousandsSeparator;
+      if (type === "decimal" && decimalSeparator !== null) return decimalSeparator;
+      return part;
+    }).join("");
+  });
+
+  // Amount of money; the currency defaults to the site's
+  // Usage: {{ 19.9 | currency }}, {{ 19.9 | currency("EUR") }}
+  eleventyConfig.addFilter("currency", function(amount, currency = null, options = {}) {
+    const value = typeof amount === "string" && amount.trim() !== "" ? Number(amount) : amount;
+    if (typeof value !== "number" || isNaN(value)) return amount;
+
+    const { locale = null, ...intlOptions } = options;
+    return new Intl.NumberFormat(pageLocale(this?.ctx, locale), {
+      style: "currency",
+      currency: currency || defaultCurrency,
+      ...intlOptions,
+    }).format(value);
+  });
+
+  // Ratio as a percentage: 0.256 -> "26%"
+  // Usage: {{ 0.256 | percent(1) }}
+  eleventyConfig.addFilter("percent", function(ratio, decimals = 0, locale = null) {
+    const value = typeof ratio === "string" && ratio.trim() !== "" ? Number(ratio) : ratio;
+    if (typeof value !== "number" || isNaN(value)) return ratio;
+
+    return new Intl.NumberFormat(pageLocale(this?.ctx, locale), {
+      style: "percent",
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(value);
   });
 
   // Add filter categories from collection
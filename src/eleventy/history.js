@@ -0,0 +1,233 @@
+import fs from "fs";
+import path from "node:path";
+import { execFileSync } from "child_process";
+
+/**
+ * Creation and last change dates of source files, from the git history of their
+ * repository (the site's, or the external content repository) or, outside git,
+ * from the file system
+ *
+ * Each repository's log is read once per build with a single `git log` and cached on
+ * disk by HEAD commit: later builds only read the commits added since. Renamed files keep
+ * their history (as far as git's rename detection sees the rename).
+ */
+
+// Separates commits in the `git log` output
+const COMMIT_MARKER = "\u0001";
+
+const roots = new Map();     // directory -> repository root | null
+const histories = new Map(); // repository root -> { head, files: { path: entry } }
+const entries = new Map();   // absolute path -> file history | null
+let shallowWarned = false;
+
+function git(cwd, args) {
+  return execFileSync("git", ["-c", "core.quotepath=off", ...args], {
+    cwd,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "ignore"],
+    maxBuffer: 256 * 1024 * 1024,
+  }).trim();
+}
+
+/**
+ * Root of the repository holding a directory, or null outside git
+ */
+function repositoryRoot(dir) {
+  if (!roots.has(dir)) {
+    let root = null;
+    try {
+      root = fs.existsSync(dir) ? path.resolve(git(dir, ["rev-parse", "--show-toplevel"])) : null;
+    } catch {
+      // Not a git checkout
+    }
+    roots.set(dir, root);
+  }
+  return roots.get(dir);
+}
+
+/**
+ * Changes of every file in commits `range` ("HEAD" or "<old>..HEAD"), newest first
+ * Returns { files: { "<path from root>": { created, updated, hash, author } }, renamed }
+ * where `renamed` maps the names files had before the range to their current path
+ */
+function readLog(root, range) {
+  const output = git(root, [
+    "log", range, "--name-status",
+    `--format=${COMMIT_MARKER}%H%x09%aI%x09%cI%x09%an`,
+  ]);
+  const files = {};
+  const renamed = new Map(); // earlier name -> current path
+  for (const block of output.split(COMMIT_MARKER).filter(Boolean)) {
+    const [header, ...changes] = block.split("\n");
+    const [hash, authored, committed, author] = header.split("\t");
+    for (const change of changes.filter((line) => line.trim())) {
+      // "M\tpath", or "R087\told path\tnew path" for renames
+      const [status, ...paths] = change.trim().split("\t");
+      const current = paths[paths.length - 1];
+      const name = renamed.get(current) || current;
+      // The oldest commit of a file created it; the newest one is its last change
+      if (!files[name]) files[name] = { created: authored, updated: committed, hash, author };
+      else files[name].created = authored;
+      if (status.startsWith("R")) {
+        renamed.delete(current);
+        renamed.set(paths[0], name);
+      }
+    }
+  }
+  return { files, renamed };
+}
+
+/**
+ * History of a repository, reusing the cache when HEAD hasn't moved or moved forward
+ */
+function repositoryHistory(root, settings) {
+  let head;
+  try {
+    head = git(root, ["rev-parse", "HEAD"]);
+  } catch {
+    // Repository without commits
+    return { head: null, files: {} };
+  }
+  if (histories.get(root)?.head === head) return histories.get(root);
+
+  const cacheFile = settings.cacheFile ? path.resolve(settings.cacheFile) : null;
+  let cache = {};
+  if (cacheFile && fs.existsSync(cacheFile)) {
+    try {
+      cache = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    } catch {
+      // Rebuilt below
+    }
+  }
+
+  let history = histories.get(root) || cache[root];
+  if (history?.head !== head) {
+    let previous = null;
+    if (history?.head) {
+      try {
+        git(root, ["merge-base", "--is-ancestor", history.head, head]);
+        previous = history;
+      } catch {
+        // History rewritten (rebase, other branch): read it again
+      }
+    }
+    if (previous) {
+      const { files: added, renamed } = readLog(root, `${previous.head}..${head}`);
+      const files = { ...previous.files };
+      const renamedFrom = new Map(Array.from(renamed, ([before, after]) => [after, before]));
+      for (const [name, entry] of Object.entries(added)) {
+        // Files renamed since the cached HEAD keep the creation date of their earlier name
+        const earlier = renamedFrom.has(name) ? previous.files[renamedFrom.get(name)] : files[name];
+        files[name] = earlier ? { ...entry, created: earlier.created } : entry;
+      }
+      for (const before of renamed.keys()) {
+        if (!added[before]) delete files[before];
+      }
+      history = { head, files };
+    } else {
+      history = { head, files: readLog(root, "HEAD").files };
+      if (!shallowWarned && git(root, ["rev-parse", "--is-shallow-repository"]) === "true") {
+        shallowWarned = true;
+        console.warn(`⚠️ ${root} is a shallow clone: creation dates stop at its oldest fetched commit (run "git fetch --unshallow" or check out with fetch-depth: 0)`);
+      }
+    }
+
+    if (cacheFile) {
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify({ ...cache, [root]: history }));
+    }
+  }
+
+  histories.set(root, history);
+  return history;
+}
+
+/**
+ * History of a source file: { createdAt, updatedAt, hash, author, source: "git" | "file", root, path },
+ * or null when the file doesn't exist (virtual templates)
+ */
+export function fileHistory(file, settings = {}) {
+  const absolute = path.resolve(file);
+  if (!entries.has(absolute)) {
+    let entry = null;
+    const root = repositoryRoot(path.dirname(absolute));
+    const name = root ? path.relative(root, absolute).split(path.sep).join("/") : null;
+    const commit = root ? repositoryHistory(root, settings).files[name] : null;
+
+    if (commit) {
+      entry = {
+        createdAt: new Date(commit.created),
+        updatedAt: new Date(commit.updated),
+        hash: commit.hash,
+        author: commit.author,
+        source: "git",
+        root,
+        path: name,
+      };
+    } else if (fs.existsSync(absolute)) {
+      // Outside git, or not committed yet
+      const stat = fs.statSync(absolute);
+      entry = {
+        createdAt: stat.birthtimeMs > 0 ? stat.birthtime : stat.mtime,
+        updatedAt: stat.mtime,
+        hash: null,
+        author: null,
+        source: "file",
+        root,
+        path: name || path.relative(process.cwd(), absolute).split(path.sep).join("/"),
+      };
+    }
+    entries.set(absolute, entry);
+  }
+  return entries.get(absolute);
+}
+
+/**
+ * URL from a template with `{path}` and `{hash}` placeholders ("https://github.com/me/site/edit/main/{path}")
+ */
+function fillUrl(template, values) {
+  if (!template) return null;
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] ? String(values[key]) : placeholder));
+}
+
+/**
+ * Computed data of every page with a source file:
+ * `createdAt`, `updatedAt` (Dates) and `lastChange` ({ date, hash, shortHash, author, source, path, editUrl, commitUrl })
+ * `resolveSource` maps an input path to the file its history comes from (content copied from an external folder)
+ */
+export function historyComputedData(settings, resolveSource = (inputPath) => inputPath) {
+  const historyOf = (data) => {
+    const inputPath = data.page?.inputPath;
+    return inputPath ? fileHistory(resolveSource(inputPath), settings) : null;
+  };
+
+  return {
+    createdAt: (data) => historyOf(data)?.createdAt || null,
+    updatedAt: (data) => historyOf(data)?.updatedAt || null,
+    lastChange: (data) => {
+      const history = historyOf(data);
+      if (!history) return null;
+      const values = { path: history.path, hash: history.hash };
+      return {
+        date: history.updatedAt,
+        hash: history.hash,
+        shortHash: history.hash ? history.hash.slice(0, 7) : null,
+        author: history.author,
+        source: history.source,
+        path: history.path,
+        editUrl: fillUrl(settings.editUrl, values),
+        commitUrl: history.hash ? fillUrl(settings.commitUrl, values) : null,
+      };
+    },
+  };
+}
+
+/**
+ * Forget file dates between rebuilds while serving (HEAD is checked again on the next read)
+ */
+export function register(eleventyConfig) {
+  eleventyConfig.on("eleventy.before", () => {
+    roots.clear();
+    entries.clear();
+  });
+}
@@ -0,0 +1,216 @@
+/**
+ * Multilingual support: locale detection, localized permalinks,
+ * translation linking and the `t` filter for UI strings.
+ */
+
+const ULID_FOLDER = /\/([0-9A-HJKMNP-TV-Z]{26})--[^/]+\//;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizePath(inputPath) {
+  return (inputPath || "").replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+/**
+ * Resolve i18n settings from core options and site data
+ * With features.i18n off the site is single-language, whatever `locales` lists
+ */
+export function resolveI18n(options, site = {}) {
+  const configured = options.features?.i18n === false ? [] : options.i18n.locales;
+  const locales = configured.map((l) => String(l).trim()).filter(Boolean);
+  const defaultLocale =
+    options.i18n.defaultLocale ||
+    (locales.length > 0 ? locales[0] : (options.locale || site.language || "en-US"));
+
+  if (locales.length > 0 && !locales.includes(defaultLocale)) {
+    throw new Error(
+      `❌ i18n.defaultLocale "${defaultLocale}" is not listed in i18n.locales (${locales.join(", ")})`
+    );
+  }
+
+  const pattern = locales.map(escapeRegExp).join("|");
+
+  return {
+    enabled: locales.length > 0,
+    locales,
+    defaultLocale,
+    prefixDefaultLocale: options.i18n.prefixDefaultLocale,
+    dictionaries: options.i18n.dictionaries,
+    // index.it.md, getting-started.it.md
+    suffixRegex: pattern ? new RegExp(`\\.(${pattern})(\\.[^./]+)$`) : null,
+    // src/content/it/posts/...
+    folderRegex: pattern ? new RegExp(`/content/(${pattern})/`) : null,
+    // src/it/about.njk
+    rootFolderRegex: pattern ? new RegExp(`^src/(${pattern})/`) : null,
+  };
+}
+
+/**
+ * Detect the locale of a page from frontmatter, filename suffix or locale folder
+ */
+export function detectLocale(i18n, inputPath, data = {}) {
+  if (data.locale) return data.locale;
+  if (!i18n.enabled) return i18n.defaultLocale;
+
+  const input = normalizePath(inputPath);
+  const match =
+    input.match(i18n.suffixRegex) ||
+    input.match(i18n.folderRegex) ||
+    input.match(i18n.rootFolderRegex);
+
+  return match ? match[1] : i18n.defaultLocale;
+}
+
+/**
+ * Remove locale folder and suffix from an input path
+ * (src/content/it/posts/X/index.it.md -> src/content/posts/X/index.md)
+ */
+export function stripLocaleFromPath(i18n, inputPath) {
+  let input = normalizePath(inputPath);
+  if (!i18n.enabled) return input;
+  return input
+    .replace(i18n.suffixRegex, "$2")
+    .replace(i18n.folderRegex, "/content/")
+    .replace(i18n.rootFolderRegex, "src/");
+}
+
+/**
+ * File slug without the locale suffix (index.it.md in ULID--slug/ -> ULID--slug)
+ */
+export function localizedFileSlug(i18n, page = {}) {
+  const slug = page.fileSlug || "";
+  if (!i18n.enabled) return slug;
+
+  const suffix = slug.match(new RegExp(`^(.*)\\.(${i18n.locales.map(escapeRegExp).join("|")})$`));
+  if (!suffix) return slug;
+  if (suffix[1] !== "index") return suffix[1];
+
+  const dirs = normalizePath(page.inputPath).split("/");
+  return dirs[dirs.length - 2] || "";
+}
+
+/**
+ * URL prefix for a locale ("" for the default locale unless prefixDefaultLocale is set)
+ */
+export function localePrefix(i18n, locale) {
+  if (!i18n.enabled) return "";
+  if (locale === i18n.defaultLocale && !i18n.prefixDefaultLocale) return "";
+  return `/${locale}`;
+}
+
+/**
+ * Key shared by all translations of the same content
+ * Posts are keyed by their ULID, so translated slugs still link together
+ */
+export function translationKey(i18n, inputPath, data = {}) {
+  if (data.translationKey) return String(data.translationKey);
+  return stripLocaleFromPath(i18n, inputPath)
+    .replace(ULID_FOLDER, "/$1/")
+    .replace(/\.[^./]+$/, "")
+    .replace(/\/index$/, "");
+}
+
+/**
+ * Add locale variants of the collection globs (index.it.md and content/it/...)
+ */
+export function localizeGlobs(i18n, globs) {
+  if (!i18n.enabled) return globs;
+
+  const result = new Set(globs);
+  for (const glob of globs) {
+    for (const locale of i18n.locales) {
+      result.add(glob.replace(/(\.[^./]+)$/, `.${locale}$1`));
+      result.add(glob.replace("/content/", `/content/${locale}/`));
+    }
+  }
+  return Array.from(result);
+}
+
+/**
+ * Group items by their computed locale
+ */
+export function groupByLocale(i18n, items) {
+  const groups = Object.fromEntries(
+    (i18n.enabled ? i18n.locales : [i18n.defaultLocale]).map((l) => [l, []])
+  );
+  for (const item of items) {
+    const locale = item.data?.locale || i18n.defaultLocale;
+    if (!groups[locale]) groups[locale] = [];
+    groups[locale].push(item);
+  }
+  return groups;
+}
+
+/**
+ * Look up a dotted key in a dictionary
+ */
+function lookup(dictionary, key) {
+  return String(key)
+    .split(".")
+    .reduce((obj, part) => (obj && typeof obj === "object" ? obj[part] : undefined), dictionary);
+}
+
+/**
+ * Translate a UI string, interpolating {placeholders}
+ * Falls back to the default locale, then to the key itself
+ */
+export function translate(i18n, dictionaries, key, vars = {}, locale = i18n.defaultLocale) {
+  const candidates = [locale, locale?.split("-")[0], i18n.defaultLocale];
+  let value;
+  for (const candidate of candidates) {
+    if (!candidate || !dictionaries?.[candidate]) continue;
+    value = lookup(dictionaries[candidate], key);
+    if (typeof value === "string") break;
+  }
+
+  if (typeof value !== "string") {
+    console.warn(`⚠️ Missing translation for "${key}" (${locale})`);
+    return key;
+  }
+
+  return value.replace(/\{(\w+)\}/g, (match, name) =>
+    vars && vars[name] !== undefined ? String(vars[name]) : match
+  );
+}
+
+/**
+ * Register i18n collections and filters
+ */
+export function register(eleventyConfig, i18n) {
+  // translationKey -> versions of the same content, ordered like i18n.locales
+  eleventyConfig.addCollection("translationsByKey", (collectionApi) => {
+    const map = new Map();
+    collectionApi.getAll().forEach((item) => {
+      if (!item.url || !item.data.translationKey) return;
+      const key = item.data.translationKey;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push({
+        locale: item.data.locale,
+        url: item.url,
+        title: item.data.title || "",
+        isDefaultLocale: item.data.locale === i18n.defaultLocale,
+      });
+    });
+    for (const versions of map.values()) {
+      versions.sort((a, b) => i18n.locales.indexOf(a.locale) - i18n.locales.indexOf(b.locale));
+    }
+    return Object.fromEntries(map);
+  });
+
+  // Translate a UI string from the locale dictionaries in _data
+  // Usage: {{ "nav.home" | t }} or {{ "greeting" | t({ name: author }) }}
+  eleventyConfig.addFilter("t", function (key, vars = {}, locale = null) {
+    const ctx = this?.ctx || {};
+    const dictionaries = ctx[i18n.dictionaries] || {};
+    return translate(i18n, dictionaries, key, vars, locale || ctx.locale || i18n.defaultLocale);
+  });
+
+  // Prefix a root-relative URL with the locale
+  // Usage: {{ "/blog/" | localeUrl(locale) }}
+  eleventyConfig.addFilter("localeUrl", function (url, locale = null) {
+    const target = locale || this?.ctx?.locale || i18n.defaultLocale;
+    return `${localePrefix(i18n, target)}${url?.startsWith("/") ? url : `/${url || ""}`}`;
+  });
+}
@@ -0,0 +1,368 @@
+import path from "node:path";
+import fs from "fs";
+import Image from "@11ty/eleventy-img";
+import { escapeHtml, unescapeHtml } from "./utils/html.js";
+
+/**
+ * Image service shared by the image shortcodes, the markdown image transform,
+ * the SEO image and the content lint: one resolver, one set of presets.
+ */
+
+const FALLBACK_FORMATS = ["jpeg", "png", "auto"];
+
+// What to do when an image can't be found: render a plain <img> (with a warning) or fail the build
+const MISSING_MODES = ["fallback", "error"];
+
+// Preset / override keys passed to eleventy-img; any other key is an HTML attribute
+const PROCESSING_KEYS = ["widths", "formats", "fallbackFormat"];
+
+// Social networks do not read avif
+const SEO_FORMATS = ["jpeg", "png", "webp", "avif"];
+
+export function isExternalImage(src) {
+  return /^(https?:)?\/\//.test(src) || src.startsWith("data:");
+}
+
+/**
+ * Resolve an image source to a file, trying each search path in order
+ * Relative sources are looked up in `from` (the page's own folder) first
+ * Returns { path, tried }; path is null when the image does not exist
+ */
+export function resolveImage(src, imageOptions, { cwd = process.cwd(), from = null } = {}) {
+  const raw = String(src).split(/[?#]/)[0];
+  let clean;
+  try {
+    clean = decodeURI(raw);
+  } catch {
+    // Malformed escape ("100%.jpg"): look the name up as written
+    clean = raw;
+  }
+  const relative = clean.replace(/^\/+/, "");
+  const tried = [];
+  const searchPaths = from && !clean.startsWith("/")
+    ? [from, ...imageOptions.searchPaths]
+    : imageOptions.searchPaths;
+
+  for (const searchPath of searchPaths) {
+    const candidate = path.resolve(cwd, searchPath, relative);
+    if (tried.includes(candidate)) continue;
+    tried.push(candidate);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return { path: candidate, tried };
+    }
+  }
+
+  return { path: null, tried };
+}
+
+/**
+ * Human readable "not found" message listing every path tried
+ */
+export function notFoundMessage(src, tried, cwd = process.cwd()) {
+  return `Image not found: "${src}" (tried ${tried.map((p) => path.relative(cwd, p)).join(", ")})`;
+}
+
+/**
+ * Merge base options, a named preset and per-call overrides
+ * Returns { processing, attributes }: eleventy-img options and default HTML attributes
+ */
+export function imageSettings(imageOptions, { preset, ...overrides } = {}) {
+  let presetOptions = {};
+  if (preset) {
+    presetOptions = imageOptions.presets[preset];
+    if (!presetOptions) {
+      throw new Error(
+        `❌ Unknown image preset "${preset}".\n` +
+        `Available presets: ${Object.keys(imageOptions.presets).join(", ") || "(none)"}`
+      );
+    }
+  }
+
+  const merged = { ...presetOptions };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  const processing = {
+    widths: merged.widths || imageOptions.widths,
+    formats: [...(merged.formats || imageOptions.formats)],
+    outputDir: imageOptions.outputDir,
+    urlPath: imageOptions.urlPath,
+  };
+
+  const fallbackFormat = merged.fallbackFormat !== undefined ? merged.fallbackFormat : imageOptions.fallbackFormat;
+  if (fallbackFormat) {
+    if (!FALLBACK_FORMATS.includes(fallbackFormat)) {
+      throw new Error(
+        `❌ Invalid image fallbackFormat "${fallbackFormat}": expected one of ${FALLBACK_FORMATS.join(", ")}`
+      );
+    }
+    // The last format is used for the <img> element, read by browsers without avif/webp support
+    processing.formats = processing.formats.filter((format) => format !== fallbackFormat).concat(fallbackFormat);
+  }
+
+  const attributes = { sizes: imageOptions.sizes, loading: "lazy", decoding: "async" };
+  for (const [key, value] of Object.entries(merged)) {
+    if (!PROCESSING_KEYS.includes(key) && value !== undefined) attributes[key] = value;
+  }
+
+  return { processing, attributes };
+}
+
+/**
+ * statsSync can't use the "auto" format: map it to the source format
+ */
+function syncProcessing(processing, file) {
+  const sourceFormat = path.extname(file).slice(1).toLowerCase().replace("jpg", "jpeg");
+  return {
+    ...processing,
+    formats: processing.formats.map((format) => (format === "auto" ? sourceFormat : format)),
+  };
+}
+
+// Keys accepted in markdown image attribute blocks; raw attributes like `on*` stay out
+const MARKDOWN_ATTRIBUTES = ["preset", "class", "id", "sizes", "loading", "decoding", "fetchpriority"];
+
+/**
+ * Parse a markdown image attribute block: `.wide #hero sizes="50vw" loading=eager preset=hero`
+ */
+export function parseImageAttributes(text, where = "markdown") {
+  const settings = {};
+  const classes = [];
+  const tokens = text.matchAll(/([.#])([\w-]+)|([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|(\S+)/g);
+
+  for (const [, prefix, name, key, double, single, bare, invalid] of tokens) {
+    if (prefix === ".") {
+      classes.push(name);
+    } else if (prefix === "#") {
+      settings.id = name;
+    } else if (key && MARKDOWN_ATTRIBUTES.includes(key)) {
+      settings[key] = double ?? single ?? bare;
+    } else {
+      console.warn(`⚠️ Ignored image attribute "${key || invalid}" for ${where} (allowed: .class, #id, ${MARKDOWN_ATTRIBUTES.join(", ")})`);
+    }
+  }
+
+  if (classes.length > 0) {
+    settings.class = [settings.class, ...classes].filter(Boolean).join(" ");
+  }
+  return settings;
+}
+
+/**
+ * Plain <img> used when an image can't be processed
+ */
+export function fallbackImageHtml(src, attributes) {
+  const attrs = Object.entries(attributes)
+    .filter(([key, value]) => key !== "sizes" && value !== undefined && value !== null && value !== false)
+    .map(([key, value]) => `${key}="${escapeHtml(value)}"`)
+    .join(" ");
+  return `<img src="${escapeHtml(src)}" ${attrs}>`;
+}
+
+/**
+ * Largest output of the first available format in the preferred order
+ */
+export function largestImage(metadata, preferred = SEO_FORMATS) {
+  const formats = [...preferred, ...Object.keys(metadata)];
+  for (const format of formats) {
+    const entries = metadata[format];
+    if (entries && entries.length > 0) {
+      return [...entries].sort((a, b) => (b.width || 0) - (a.width || 0))[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Create an image service bound to the resolved `imageOptions`
+ */
+export function createImageService(imageOptions) {
+  // Fail on invalid settings when the config is loaded, not on the first image
+  imageSettings(imageOptions);
+  if (!MISSING_MODES.includes(imageOptions.onMissing)) {
+    throw new Error(
+      `❌ Invalid image onMissing "${imageOptions.onMissing}": expected one of ${MISSING_MODES.join(", ")}`
+    );
+  }
+
+  /**
+   * Resolve a source; `context.inputPath` enables page-relative lookup
+   */
+  const resolve = (src, context = {}) =>
+    resolveImage(src, imageOptions, { from: context.inputPath ? path.dirname(context.inputPath) : null });
+
+  /**
+   * Report a missing image: fail the build or warn (callers render a plain <img>)
+   */
+  function missing(src, tried, context = {}) {
+    const message = `${notFoundMessage(src, tried)}${context.inputPath ? ` in ${context.inputPath}` : ""}`;
+    if (imageOptions.onMissing === "error") {
+      throw new Error(`❌ ${message}`);
+    }
+    console.warn(`⚠️ ${message}`);
+  }
+
+  /**
+   * Process an image (async); returns eleventy-img metadata or null when not found
+   */
+  async function processImage(src, settings = {}, context = {}) {
+    const { path: file, tried } = resolve(src, context);
+    if (!file) {
+      missing(src, tried, context);
+      return null;
+    }
+    return Image(file, imageSettings(imageOptions, settings).processing);
+  }
+
+  /**
+   * Image metadata computed synchronously; the files are generated in the background
+   */
+  function processImageSync(src, settings = {}, context = {}) {
+    const { path: file, tried } = resolve(src, context);
+    if (!file) {
+      missing(src, tried, context);
+      return null;
+    }
+    const processing = syncProcessing(imageSettings(imageOptions, settings).processing, file);
+    // statsSync only computes URLs: write the files too, awaited when the build ends (see register)
+    const writing = Image(file, processing).catch((error) => {
+      console.error(`❌ Error processing image ${src}:`, error.message);
+    });
+    writes.add(writing);
+    writing.finally(() => writes.delete(writing));
+    return Image.statsSync(file, processing);
+  }
+
+  function toHtml(metadata, src, alt, settings) {
+    const { preset, widths, formats, fallbackFormat, ...rest } = settings;
+    const { attributes } = imageSettings(imageOptions, { preset, widths, formats, fallbackFormat });
+    const htmlAttributes = { alt, ...attributes };
+    for (const [key, value] of Object.entries(rest)) {
+      if (value !== undefined) htmlAttributes[key] = value;
+    }
+    if (!metadata) return fallbackImageHtml(src, htmlAttributes);
+    return Image.generateHTML(metadata, htmlAttributes);
+  }
+
+  return {
+    options: imageOptions,
+    resolve,
+    missing,
+    process: processImage,
+    processSync: processImageSync,
+
+    /**
+     * Responsive <picture> markup; settings accept `preset`, processing overrides
+     * (widths, formats, fallbackFormat) and HTML attributes
+     */
+    async html(src, alt, settings = {}, context = {}) {
+      return toHtml(await processImage(src, settings, context), src, alt, settings);
+    },
+
+    htmlSync(src, alt, settings = {}, context = {}) {
+      return toHtml(processImageSync(src, settings, context), src, alt, settings);
+    },
+  };
+}
+
+const services = new WeakMap();
+// Files of the synchronous shortcodes still being written
+const writes = new Set();
+
+/**
+ * Shared image service for an `imageOptions` object
+ */
+export function getImageService(imageOptions) {
+  if (!services.has(imageOptions)) {
+    services.set(imageOptions, createImageService(imageOptions));
+  }
+  return services.get(imageOptions);
+}
+
+/**
+ * Wait for the images of the synchronous shortcodes before the build ends
+ */
+export function register(eleventyConfig) {
+  eleventyConfig.on("eleventy.after", async () => {
+    await Promise.all(Array.from(writes));
+  });
+}
+
+/**
+ * Render the image placeholders written by the markdown pipeline (see rehypeImages)
+ * `inputPath` is the page rendering them; `onImages` receives the metadata of the processed images, in page order
+ */
+export async function renderImagePlaceholders(content, imageOptions, { inputPath = null, onImages = null } = {}) {
+  const images = getImageService(imageOptions);
+
+  // Find all image placeholders
+  // Attribute values may contain ">" (rehype only escapes quotes and ampersands)
+  const placeholderRegex = /<div data-image-src="[^"]*"(?:\s[\w-]+="[^"]*")*\sdata-image-placeholder="true"(?:\s[\w-]+="[^"]*")*><\/div>/g;
+  const placeholderAttr = (tag, name) => {
+    const attr = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return attr ? unescapeHtml(attr[1]) : null;
+  };
+  
+  let processedContent = content;
+  let match;
+  const placeholders = [];
+  
+  // Collect all placeholders
+  while ((match = placeholderRegex.exec(content)) !== null) {
+    const settings = placeholderAttr(match[0], "data-image-settings");
+    placeholders.push({
+      fullMatch: match[0],
+      src: placeholderAttr(match[0], "data-image-src"),
+      alt: placeholderAttr(match[0], "data-image-alt"),
+      title: placeholderAttr(match[0], "data-image-title"),
+      caption: placeholderAttr(match[0], "data-image-caption"),
+      figure: placeholderAttr(match[0], "data-image-figure") === "true",
+      // Relative sources are resolved against the folder of the page they were written in
+      inputPath: placeholderAttr(match[0], "data-image-input") || inputPath,
+      settings: settings ? JSON.parse(settings) : {},
+      index: match.index
+    });
+  }
+
+  const processed = [];
+
+  // Process placeholders in reverse order to maintain indices
+  for (let i = placeholders.length - 1; i >= 0; i--) {
+    const { fullMatch, src, alt, title, caption, figure, inputPath, index } = placeholders[i];
+    const { class: className, ...settings } = placeholders[i].settings;
+    const context = { inputPath };
+    const imageAttributes = {
+      alt: alt || "",
+      ...imageSettings(imageOptions, settings).attributes,
+      // Standalone images carry the class on their <figure>
+      ...(className && !figure ? { class: className } : {}),
+      ...(title ? { title } : {}),
+    };
+
+    let html;
+    const { path: resolvedPath, tried } = images.resolve(src, context);
+    if (!resolvedPath) {
+      // Fails the build when imageOptions.onMissing is "error"
+      images.missing(src, tried, context);
+      // Otherwise a visible plain <img> instead of an empty placeholder
+      html = fallbackImageHtml(src, imageAttributes);
+    } else {
+      try {
+        const metadata = await images.process(src, settings, context);
+        html = Image.generateHTML(metadata, imageAttributes);
+        processed[i] = metadata;
+      } catch (error) {
+        console.error(`❌ Error processing image ${src}:`, error);
+        html = fallbackImageHtml(src, imageAttributes);
+      }
+    }
+
+    const replacement = figure
+      ? `<figure${className ? ` class="${escapeHtml(className)}"` : ""}>${html}${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ""}</figure>`
+      : html;
+    processedContent = processedContent.substring(0, index) + replacement + processedContent.substring(index + fullMatch.length);
+  }
+
+  if (onImages) onImages(processed.filter(Boolean));
+  return processedContent;
+}
@@ -0,0 +1,190 @@
+import fs from "fs";
+import path from "node:path";
+import * as cheerio from "cheerio";
+import { listOutputFiles, urlOfFile, fileOfUrl } from "./utils/output.js";
+
+/**
+ * Offline check of the internal links of the built site: every href, src, srcset and
+ * redirect target must be a generated file, and every #fragment an ID of its page
+ */
+
+// Elements and attributes holding URLs
+const LINK_ATTRIBUTES = [
+  ["a[href], area[href], link[href]", "href"],
+  ["img[src], source[src], script[src], iframe[src], video[src], audio[src], track[src], embed[src]", "src"],
+  ["img[srcset], source[srcset]", "srcset"],
+  ["video[poster]", "poster"],
+  ["object[data]", "data"],
+];
+
+// Fragments browsers handle without a matching ID
+const BUILTIN_FRAGMENTS = new Set(["", "top"]);
+
+/**
+ * Whether a URL matches an allowlist pattern (`*` matches anything)
+ */
+function allowed(patterns, ...values) {
+  return patterns.some((pattern) => {
+    const regex = new RegExp(`^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+    return values.some((value) => regex.test(value));
+  });
+}
+
+/**
+ * URLs of an element attribute (one per srcset candidate)
+ */
+function attributeUrls(attribute, value) {
+  if (attribute === "srcset") {
+    return value.split(",").map((candidate) => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+  }
+  return [value.trim()];
+}
+
+/**
+ * Links, IDs and site origin of a built page: { links: [{ url, line }], ids, origin }
+ */
+export function pageLinks(html) {
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+  const links = [];
+  const lineOf = (element) => element.sourceCodeLocation?.startLine || null;
+
+  for (const [selector, attribute] of LINK_ATTRIBUTES) {
+    $(selector).each((i, element) => {
+      for (const url of attributeUrls(attribute, $(element).attr(attribute))) {
+        links.push({ url, line: lineOf(element) });
+      }
+    });
+  }
+  // Alias redirect pages
+  $('meta[http-equiv="refresh" i]').each((i, element) => {
+    const target = ($(element).attr("content") || "").match(/url\s*=\s*['"]?([^'"\s]+)/i);
+    if (target) links.push({ url: target[1], line: lineOf(element) });
+  });
+
+  const ids = new Set();
+  $("[id]").each((i, element) => ids.add($(element).attr("id")));
+  $("a[name]").each((i, element) => ids.add($(element).attr("name")));
+
+  // The site's own absolute URLs are internal links
+  const own = $('meta[property="og:url"]').attr("content") || $('link[rel="canonical"]').attr("href");
+  let origin = null;
+  try {
+    origin = own ? new URL(own).origin : null;
+  } catch {
+    // Relative canonical
+  }
+  return { links, ids, origin };
+}
+
+/**
+ * Sources of the redirects in a Netlify / Cloudflare Pages `_redirects` file
+ */
+function redirectSources(outputDir) {
+  const file = path.join(outputDir, "_redirects");
+  if (!fs.existsSync(file)) return { sources: new Set(), targets: [] };
+  const sources = new Set();
+  const targets = [];
+  fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+    const [from, to] = line.trim().split(/\s+/);
+    if (!from || from.startsWith("#") || !to) return;
+    sources.add(from);
+    targets.push({ url: to, line: i + 1 });
+  });
+  return { sources, targets };
+}
+
+/**
+ * Broken internal links of the output folder
+ * Returns { pages, links, broken: [{ file, line, url, reason }] }
+ */
+export function checkLinks(outputDir, settings) {
+  const files = listOutputFiles(outputDir);
+  const pages = new Map(files.map((file) => [file, pageLinks(fs.readFileSync(file, "utf8"))]));
+  const redirects = redirectSources(outputDir);
+  const broken = [];
+  let count = 0;
+
+  const idsOf = (file) => {
+    if (!pages.has(file)) pages.set(file, { ids: pageLinks(fs.readFileSync(file, "utf8")).ids });
+    return pages.get(file).ids;
+  };
+
+  const check = (file, base, origin, { url, line }) => {
+    if (!url || /^(mailto|tel|javascript|data|blob|sms):/i.test(url)) return;
+
+    let target;
+    try {
+      target = new URL(url, `http://quesby.invalid${base}`);
+    } catch {
+      broken.push({ file, line, url, reason: "malformed URL" });
+      return;
+    }
+    const internal = target.origin === "http://quesby.invalid" || target.origin === origin;
+    if (!internal) return;
+    count++;
+    if (allowed(settings.allow, url, `${target.pathname}${target.hash}`)) return;
+
+    const targetFile = fileOfUrl(outputDir, target.pathname);
+    if (!targetFile) {
+      if (!redirects.sources.has(target.pathname)) broken.push({ file, line, url, reason: `no page at ${target.pathname}` });
+      return;
+    }
+
+    const fragment = target.hash.slice(1);
+    if (!settings.anchors || BUILTIN_FRAGMENTS.has(fragment) || !targetFile.endsWith(".html")) return;
+    let id = fragment;
+    try {
+      id = decodeURIComponent(fragment);
+    } catch {
+      // Kept as written
+    }
+    if (!idsOf(targetFile).has(id)) {
+      broken.push({ file, line, url, reason: `no #${id} in ${urlOfFile(outputDir, targetFile)}` });
+    }
+  };
+
+  for (const file of files) {
+    const { links, origin } = pages.get(file);
+    const base = urlOfFile(outputDir, file);
+    for (const link of links) check(file, base, origin, link);
+  }
+  for (const link of redirects.targets) {
+    check(path.join(outputDir, "_redirects"), "/", null, link);
+  }
+
+  return { pages: files.length, links: count, broken };
+}
+
+/**
+ * Console lines of the broken links, with the source template of each page
+ */
+export function formatLinks(result, inputs = new Map(), severity = "warning") {
+  const label = severity === "error" ? "❌ broken link" : "⚠️  broken link";
+  const lines = result.broken.map((link) => {
+    const input = inputs.get(path.resolve(link.file));
+    const where = `${path.relative(process.cwd(), link.file)}${link.line ? `:${link.line}` : ""}`;
+    return `${where}  ${label}  ${link.url}  ${link.reason}${input ? `  (from ${input})` : ""}`;
+  });
+  lines.push(`${result.links} internal link(s) in ${result.pages} page(s), ${result.broken.length} broken`);
+  return lines.join("\n");
+}
+
+/**
+ * Check the links after each build; `links.fail` fails the build on broken links
+ */
+export function register(eleventyConfig, options) {
+  const settings = options.links;
+
+  eleventyConfig.on("eleventy.after", ({ dir, results, runMode }) => {
+    // Rebuilds while serving only write part of the site
+    if (runMode !== "build") return;
+
+    const result = checkLinks(dir.output, settings);
+    const inputs = new Map((results || []).filter((item) => item.outputPath).map((item) => [path.resolve(item.outputPath), item.inputPath]));
+    console.log(`[🔗] Link check:\n${formatLinks(result, inputs, settings.fail ? "error" : "warning")}`);
+
+    if (settings.fail && result.broken.length > 0) {
+      throw new Error(`❌ Link check failed with ${result.broken.length} broken link(s) (links.fail is enabled)`);
+    }
+  });
+}
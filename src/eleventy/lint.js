@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { globSync } from "tinyglobby";
+import { DateTime } from "luxon";
+import slugify from "slugify";
+import { detectLocale } from "./i18n.js";
+import { defaultOptions } from "./options.js";
+import { isExternalImage, resolveImage, notFoundMessage } from "./images.js";
+import { parseDate } from "./utils/dates.js";
+
+/**
+ * Content linting: validates frontmatter and markdown of posts and documentation
+ * before the build, reporting file:line diagnostics.
+ */
+
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+// Frontmatter keys read by the core, Eleventy or Quesby templates
+export const KNOWN_KEYS = new Set([
+  "title", "description", "date", "lastUpdated", "publishDate", "slug", "tags",
+  "category", "categories", "aliases", "draft", "layout", "permalink", "order",
+  "image", "postImage", "postTitle", "postDescription", "seoTitle", "ogImageAlt",
+  "noindex", "postType", "schemaType", "author", "seoDisableCoreHead",
+  "seoDisableCoreJsonLd", "locale", "translationKey", "related", "searchExclude",
+  "eleventyExcludeFromCollections", "eleventyComputed", "eleventyNavigation",
+  "templateEngineOverride", "pagination", "toc", "section",
+  "faq", "howto", "software", "schema", "timezone",
+]);
+
+const SCHEMAS = {
+  posts: { required: ["title", "date", "slug"] },
+  documentation: { required: ["title"] },
+};
+
+const DATE_KEYS = ["date", "lastUpdated", "publishDate"];
+
+/**
+ * Split a markdown file into frontmatter data and body, keeping line numbers
+ */
+export function parseContentFile(source) {
+  const match = source.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: source, bodyLine: 1, keyLines: new Map(), rawValues: new Map(), error: null };
+  }
+
+  const frontmatter = match[1];
+  const keyLines = new Map();
+  const rawValues = new Map(); // key -> scalar as written (YAML silently rolls over dates like 2024-13-45)
+  frontmatter.split(/\r?\n/).forEach((line, i) => {
+    const key = line.match(/^([A-Za-z0-9_$-]+)\s*:\s*(.*)$/);
+    if (key && !keyLines.has(key[1])) {
+      keyLines.set(key[1], i + 2); // +1 for "---", +1 for 1-based
+      rawValues.set(key[1], key[2].replace(/\s+#.*$/, "").replace(/^(["'])(.*)\1$/, "$2").trim());
+    }
+  });
+
+  const bodyLine = match[0].split(/\r?\n/).length - (match[0].endsWith("\n") ? 1 : 0) + 1;
+  let data = {};
+  let error = null;
+  try {
+    data = yaml.load(frontmatter) || {};
+  } catch (e) {
+    error = { message: e.reason || e.message, line: (e.mark?.line ?? 0) + 2 };
+  }
+
+  return { data, body: source.slice(match[0].length), bodyLine, keyLines, rawValues, error };
+}
+
+// Eleventy reads `date` itself: ISO strings or one of its keywords
+const ELEVENTY_DATE_KEYWORDS = ["last modified", "created", "git last modified", "git created"];
+
+function isValidDate(value, key) {
+  if (value instanceof Date) return !isNaN(value);
+  if (typeof value !== "string") return false;
+  if (key === "date") return ELEVENTY_DATE_KEYWORDS.includes(value.toLowerCase()) || DateTime.fromISO(value).isValid;
+  return parseDate(value) !== null;
+}
+
+/**
+ * Blank out fenced and inline code so examples are not linted, keeping offsets
+ */
+function maskCode(body) {
+  const blank = (m) => m.replace(/[^\n]/g, " ");
+  return body.replace(/^(```|~~~)[\s\S]*?^\1/gm, blank).replace(/`[^`\n]*`/g, blank);
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+/**
+ * Lint every content file matched by the collection globs
+ * Returns diagnostics: { file, line, column, severity, rule, message }
+ */
+export function lintContent({ cwd = process.cwd(), collections, i18n, settings, imageOptions = defaultOptions.imageOptions }) {
+  const diagnostics = [];
+  const allowedKeys = new Set([...KNOWN_KEYS, ...(settings.allowedKeys || [])]);
+  const slugs = new Map(); // type|locale|slug -> file
+
+  const report = (file, line, severity, rule, message, column = 1) => {
+    diagnostics.push({ file, line, column, severity, rule, message });
+  };
+
+  for (const [type, globs] of Object.entries(collections)) {
+    const schema = SCHEMAS[type] || { required: [] };
+    const files = globSync(globs, { cwd }).sort();
+
+    for (const file of files) {
+      const source = fs.readFileSync(path.join(cwd, file), "utf8");
+      const { data, body, bodyLine, keyLines, rawValues, error } = parseContentFile(source);
+      const keyLine = (key) => keyLines.get(key) || 1;
+      // Relative images are resolved against the file's own folder first, as in the build
+      const from = path.dirname(path.join(cwd, file));
+
+      if (error) {
+        report(file, error.line, "error", "frontmatter-syntax", `Invalid frontmatter: ${error.message}`);
+        continue;
+      }
+
+      // Required fields
+      for (const key of schema.required) {
+        if (data[key] === undefined || data[key] === null || data[key] === "") {
+          report(file, 1, "error", "required-field", `Missing required field "${key}"`);
+        }
+      }
+
+      // Dates
+      for (const key of DATE_KEYS) {
+        if (data[key] === undefined || data[key] === null) continue;
+        const raw = data[key] instanceof Date && rawValues.get(key) ? rawValues.get(key) : data[key];
+        if (!isValidDate(raw, key)) {
+          report(file, keyLine(key), "error", "malformed-date", `Malformed date in "${key}": ${JSON.stringify(raw instanceof Date ? raw.toISOString() : raw)}`);
+        }
+      }
+
+      // Unknown keys
+      for (const key of Object.keys(data)) {
+        if (!allowedKeys.has(key)) {
+          report(file, keyLine(key), "warning", "unknown-key", `Unknown frontmatter key "${key}" (add it to lint.allowedKeys if intended)`);
+        }
+      }
+
+      // Post folders: ULID or ULID--slug
+      if (type === "posts") {
+        const folder = path.basename(path.dirname(file));
+        const [ulid, folderSlug] = folder.split(/--(.*)/s);
+        if (!ULID.test(ulid)) {
+          report(file, 1, "error", "ulid-folder", `Folder "${folder}" is not a valid ULID or ULID--slug name`);
+        } else if (folderSlug && data.slug && path.basename(file) === "index.md" && folderSlug !== String(data.slug)) {
+          // Translations (index.it.md) may use a translated slug
+          report(file, keyLine("slug"), "warning", "slug-folder-mismatch", `Slug "${data.slug}" does not match folder slug "${folderSlug}"`);
+        }
+      }
+
+      // Duplicate slugs (per collection and locale)
+      const slug = data.slug ? String(data.slug) : path.basename(file).replace(/\.md$/, "");
+      if (data.slug || type !== "posts") {
+        const locale = i18n ? detectLocale(i18n, file, data) : "";
+        const key = `${type}|${locale}|${slugify(slug, { lower: true, strict: true }) || slug}`;
+        if (slugs.has(key)) {
+          report(file, keyLine("slug"), "error", "duplicate-slug", `Slug "${slug}" is already used by ${slugs.get(key)}`);
+        } else {
+          slugs.set(key, file);
+        }
+      }
+
+      // Frontmatter images
+      for (const key of ["image", "postImage"]) {
+        const src = data[key];
+        if (typeof src !== "string" || !src || isExternalImage(src)) continue;
+        const { path: found, tried } = resolveImage(src, imageOptions, { cwd, from });
+        if (!found) {
+          report(file, keyLine(key), "error", "missing-image", notFoundMessage(src, tried, cwd));
+        }
+      }
+
+      // Markdown and HTML images in the body
+      const masked = maskCode(body);
+      const images = [];
+      for (const m of masked.matchAll(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g)) {
+        images.push({ index: m.index, alt: m[1], src: m[2] });
+      }
+      for (const m of masked.matchAll(/<img\b[^>]*>/gi)) {
+        const src = m[0].match(/\bsrc\s*=\s*["']([^"']*)["']/i);
+        const alt = m[0].match(/\balt\s*=\s*["']([^"']*)["']/i);
+        images.push({ index: m.index, alt: alt ? alt[1] : "", src: src ? src[1] : "" });
+      }
+
+      for (const image of images) {
+        const line = bodyLine + lineAt(masked, image.index) - 1;
+        const column = image.index - masked.lastIndexOf("\n", image.index - 1);
+        if (!image.alt.trim()) {
+          report(file, line, "error", "image-alt", `Image "${image.src}" has no alt text`, column);
+        }
+        if (!image.src || isExternalImage(image.src)) continue;
+        const { path: found, tried } = resolveImage(image.src, imageOptions, { cwd, from });
+        if (!found) {
+          report(file, line, "error", "missing-image", notFoundMessage(image.src, tried, cwd), column);
+        }
+      }
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+/**
+ * Format diagnostics as "file:line:column  severity  message  rule" lines or JSON
+ */
+export function formatDiagnostics(diagnostics, format = "text") {
+  if (format === "json") {
+    return JSON.stringify(diagnostics, null, 2);
+  }
+
+  const errors = diagnostics.filter((d) => d.severity === "error").length;
+  const warnings = diagnostics.length - errors;
+  const lines = diagnostics.map((d) =>
+    `${d.file}:${d.line}:${d.column}  ${d.severity === "error" ? "❌ error  " : "⚠️  warning"}  ${d.message}  (${d.rule})`
+  );
+  lines.push(`${errors} error(s), ${warnings} warning(s)`);
+  return lines.join("\n");
+}
+
+/**
+ * Lint content before every build; strict mode fails the build on errors
+ */
+export function register(eleventyConfig, options, { collections, i18n }) {
+  const settings = options.lint;
+
+  eleventyConfig.on("eleventy.before", () => {
+    const diagnostics = lintContent({ collections, i18n, settings, imageOptions: options.imageOptions });
+    if (diagnostics.length === 0) return;
+
+    console.log(`[🧹] Content lint:\n${formatDiagnostics(diagnostics)}`);
+
+    const errors = diagnostics.filter((d) => d.severity === "error");
+    if (settings.strict && errors.length > 0) {
+      throw new Error(`❌ Content lint failed with ${errors.length} error(s) (lint.strict is enabled)`);
+    }
+  });
+}
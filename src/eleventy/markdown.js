@@ -0,0 +1,235 @@
+import path from "path";
+import fs from "fs";
+import { unified } from "unified";
+import remarkParse from "remark-parse";
+import remarkGfm from "remark-gfm";
+import remarkBreaks from "remark-breaks";
+import remarkMath from "remark-math";
+import remarkRehype from "remark-rehype";
+import rehypeExpressiveCode from "rehype-expressive-code";
+import rehypeStringify from "rehype-stringify";
+import { isExternalImage, parseImageAttributes } from "./images.js";
+import { remarkCallouts } from "./callouts.js";
+import { rehypeMath } from "./math.js";
+import { rehypeEmbeds } from "./embeds.js";
+import { rehypeHeadings, pageTocSettings, buildTocTree } from "./toc.js";
+
+/**
+ * Markdown processor: a unified pipeline of named stages that sites can extend
+ * with their own remark/rehype plugins (markdownOptions.plugins) or replace and
+ * disable (markdownOptions.stages).
+ */
+
+// Stages that can be replaced but not disabled
+const REQUIRED_STAGES = ["parse", "toHast", "stringify"];
+
+// Custom plugin to process images with eleventy-img
+// ![alt](src "caption"){.wide sizes="50vw" loading=eager preset=hero}
+export function rehypeImages() {
+  return (tree, file) => {
+    const visit = (node, parent) => {
+      if (node.type === "element" && node.tagName === "img") {
+        const src = node.properties?.src;
+        const alt = node.properties?.alt || "";
+        const title = node.properties?.title || "";
+        
+        // Skip external URLs
+        if (src && isExternalImage(src)) {
+          return;
+        }
+        
+        // Process local images with eleventy-img
+        if (src) {
+          // Attribute block right after the image
+          const siblings = parent.children;
+          const next = siblings[siblings.indexOf(node) + 1];
+          let settings = {};
+          const block = next?.type === "text" && next.value.match(/^\{([^}\n]*)\}/);
+          if (block) {
+            settings = parseImageAttributes(block[1], `${src} in ${file.path || "markdown"}`);
+            next.value = next.value.slice(block[0].length);
+          }
+
+          // An image alone in its paragraph becomes a figure, with the title as caption
+          const standalone = parent.tagName === "p" && siblings.every((child) =>
+            child === node || (child.type === "text" && !child.value.trim())
+          );
+
+          const placeholder = {
+            type: "element",
+            tagName: "div",
+            properties: {
+              "data-image-src": src,
+              "data-image-alt": alt,
+              "data-image-placeholder": "true",
+              "data-image-caption": standalone && title ? title : undefined,
+              "data-image-figure": standalone ? "true" : undefined,
+              "data-image-settings": Object.keys(settings).length > 0 ? JSON.stringify(settings) : undefined,
+              // Page the markdown comes from, to resolve relative sources against its folder
+              "data-image-input": file.path || undefined
+            },
+            children: []
+          };
+          if (title && !standalone) {
+            placeholder.properties["data-image-title"] = title;
+          }
+
+          if (standalone) {
+            // Replace the whole paragraph: a <figure> can't live inside a <p>
+            Object.assign(parent, placeholder);
+          } else {
+            Object.assign(node, placeholder);
+          }
+        }
+      }
+      
+      if (node.children) {
+        [...node.children].forEach((child) => visit(child, node));
+      }
+    };
+    
+    visit(tree, null);
+  };
+}
+
+
+/**
+ * Core stages in pipeline order: { name, plugin, options, enabled }
+ */
+export function coreStages(options) {
+  const { markdownOptions, features } = options;
+  const { singleDollar, output, macros, failOnError } = markdownOptions.math;
+  return [
+    { name: "parse", plugin: remarkParse, enabled: true },
+    { name: "gfm", plugin: remarkGfm, enabled: markdownOptions.gfm },
+    { name: "breaks", plugin: remarkBreaks, enabled: markdownOptions.breaks },
+    { name: "callouts", plugin: remarkCallouts, options: markdownOptions.callouts, enabled: features.callouts },
+    { name: "math", plugin: remarkMath, options: { singleDollarTextMath: singleDollar }, enabled: features.math },
+    { name: "toHast", plugin: remarkRehype, options: { allowDangerousHtml: markdownOptions.html }, enabled: true },
+    // Before Expressive Code, so ```math blocks are rendered as math
+    { name: "katex", plugin: rehypeMath, options: { output, macros, failOnError }, enabled: features.math },
+    // Placeholders are only useful when the image transform replaces them
+    { name: "embeds", plugin: rehypeEmbeds, options: options.embeds, enabled: features.embeds },
+    { name: "images", plugin: rehypeImages, enabled: features.imageTransform },
+    { name: "expressiveCode", plugin: rehypeExpressiveCode, options: markdownOptions.expressiveCode, enabled: features.expressiveCode },
+    // Last, so the IDs and the TOC see the headings as the page renders them
+    { name: "headings", plugin: rehypeHeadings, enabled: features.headingIds },
+    { name: "stringify", plugin: rehypeStringify, options: { allowDangerousHtml: markdownOptions.html }, enabled: true },
+  ];
+}
+
+/**
+ * Apply `markdownOptions.stages` overrides and insert `markdownOptions.plugins`
+ * Returns the final list of stages, disabled ones included (they still anchor before/after)
+ */
+export function markdownStages(options) {
+  const { stages: overrides, plugins } = options.markdownOptions;
+  const stages = coreStages(options);
+  const names = () => stages.map((stage) => stage.name).join(", ");
+
+  for (const [name, override] of Object.entries(overrides)) {
+    const stage = stages.find((s) => s.name === name);
+    if (!stage) {
+      throw new Error(`❌ Unknown markdown stage "${name}" in markdownOptions.stages.\nAvailable stages: ${names()}`);
+    }
+    if (override === false) {
+      if (REQUIRED_STAGES.includes(name)) {
+        throw new Error(`❌ Markdown stage "${name}" can be replaced but not disabled`);
+      }
+      stage.enabled = false;
+    } else if (override && typeof override.plugin === "function") {
+      Object.assign(stage, { plugin: override.plugin, options: override.options, enabled: true });
+    } else {
+      throw new Error(`❌ Invalid markdownOptions.stages.${name}: expected false or { plugin, options }`);
+    }
+  }
+
+  plugins.forEach((entry, i) => {
+    const label = entry?.name ? `"${entry.name}"` : `#${i}`;
+    if (!entry || typeof entry.plugin !== "function") {
+      throw new Error(`❌ Invalid markdown plugin ${label}: expected { plugin, options, before | after }`);
+    }
+    const anchor = entry.before ?? entry.after;
+    if (!anchor || (entry.before && entry.after)) {
+      throw new Error(`❌ Markdown plugin ${label} needs exactly one of "before" or "after" (stages: ${names()})`);
+    }
+    const index = stages.findIndex((stage) => stage.name === anchor);
+    if (index === -1) {
+      throw new Error(`❌ Unknown markdown stage "${anchor}" for plugin ${label}.\nAvailable stages: ${names()}`);
+    }
+    // Entries sharing an anchor keep the order they are listed in
+    let position = entry.before ? index : index + 1;
+    while (entry.after && stages[position]?.insertedAfter === anchor) position++;
+    stages.splice(position, 0, {
+      name: entry.name || `plugin-${i}`,
+      plugin: entry.plugin,
+      options: entry.options,
+      enabled: true,
+      insertedAfter: entry.after,
+    });
+  });
+
+  return stages;
+}
+
+/**
+ * Build the unified processor used by the `md` library and `includeMarkdown`
+ */
+export function createMarkdownProcessor(options) {
+  const processor = unified();
+  for (const stage of markdownStages(options)) {
+    if (!stage.enabled) continue;
+    if (stage.options === undefined) processor.use(stage.plugin);
+    else processor.use(stage.plugin, stage.options);
+  }
+  return processor;
+}
+
+/**
+ * Render markdown; `inputPath` lets plugins resolve files relative to the source
+ * `data` is shared with the plugins as `file.data` (the page's `toc` settings in, its `headings` out)
+ */
+export async function renderMarkdown(processor, markdown, inputPath, data = {}) {
+  const result = await processor.process({ value: markdown, path: inputPath || undefined, data });
+  return result.toString();
+}
+
+/**
+ * Use the processor for `.md` templates and the `includeMarkdown` filter
+ */
+export function register(eleventyConfig, options) {
+  const processor = createMarkdownProcessor(options);
+
+  eleventyConfig.setLibrary("md", {
+    async render(str, data) {
+      const inputPath = data?.page?.inputPath;
+      const file = { toc: pageTocSettings(inputPath) };
+      const html = await renderMarkdown(processor, str, inputPath, file);
+      // Layouts render after the content: they read the headings collected by the processor
+      if (file.headings) data.tableOfContents = buildTocTree(file.headings);
+      return html;
+    },
+  });
+
+  // Filter to include markdown files with Expressive Code support
+  eleventyConfig.addFilter("includeMarkdown", async function (markdownPath) {
+    try {
+      // Path relative to src/_includes directory
+      const fullPath = path.join(process.cwd(), "src", "_includes", markdownPath);
+
+      if (fs.existsSync(fullPath)) {
+        const markdownContent = fs.readFileSync(fullPath, "utf-8");
+        // Same processor (and plugins) as .md templates
+        return await renderMarkdown(processor, markdownContent, fullPath);
+      } else {
+        console.warn(`⚠️  Markdown file not found: ${fullPath}`);
+        return `<p>⚠️ Content not found: ${markdownPath}</p>`;
+      }
+    } catch (error) {
+      console.error(`❌ Error loading ${markdownPath}:`, error);
+      return `<p>❌ Error loading content</p>`;
+    }
+  });
+
+  return processor;
+}
@@ -0,0 +1,80 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import rehypeKatex from "rehype-katex";
+import { parseContentFile } from "./lint.js";
+
+/**
+ * Math: `$inline$` and `$$block$$` TeX rendered to HTML + MathML by KaTeX at build time.
+ * The KaTeX stylesheet and fonts are copied to the output and linked from pages using math.
+ */
+
+const require = createRequire(import.meta.url);
+const KATEX_DIST = path.dirname(require.resolve("katex/dist/katex.min.css"));
+
+/**
+ * Source line of a markdown position: templates are rendered without their frontmatter
+ */
+function sourceLine(file, line) {
+  try {
+    const { bodyLine } = parseContentFile(fs.readFileSync(file.path, "utf8"));
+    return line + bodyLine - 1;
+  } catch {
+    return line;
+  }
+}
+
+/**
+ * Rehype plugin rendering math with KaTeX; invalid TeX fails the build (or warns)
+ */
+export function rehypeMath(settings = {}) {
+  const { failOnError = true, ...katexOptions } = settings;
+  const transform = rehypeKatex(katexOptions);
+
+  return (tree, file) => {
+    const known = file.messages.length;
+    transform(tree, file);
+
+    const errors = file.messages.slice(known).filter((message) => message.source === "rehype-katex");
+    if (errors.length === 0) return;
+
+    const details = errors.map((error) => {
+      const start = error.place?.start || error.place;
+      const where = file.path
+        ? `${file.path}${start?.line ? `:${sourceLine(file, start.line)}:${start.column}` : ""}`
+        : `line ${start?.line ?? "?"}`;
+      return `  ${where}  ${error.cause?.message || error.reason}`;
+    });
+
+    if (failOnError) {
+      throw new Error(`❌ Invalid TeX (${errors.length}):\n${details.join("\n")}`);
+    }
+    console.warn(`⚠️ Invalid TeX (${errors.length}):\n${details.join("\n")}`);
+  };
+}
+
+/**
+ * Copy the KaTeX stylesheet and fonts, and link them from pages that render math
+ */
+export function register(eleventyConfig, options) {
+  const { cssPath } = options.markdownOptions.math;
+  const base = cssPath.replace(/\/?$/, "/");
+  const href = `${base}katex.min.css`;
+
+  eleventyConfig.addPassthroughCopy({
+    [path.join(KATEX_DIST, "katex.min.css")]: href,
+    [path.join(KATEX_DIST, "fonts")]: `${base}fonts`,
+  });
+
+  eleventyConfig.addTransform("quesbyMathStyles", function (content, outputPath) {
+    if (!outputPath || !outputPath.endsWith(".html") || !content.includes('class="katex')) {
+      return content;
+    }
+    // Output path of the stylesheet: the link also needs the site's pathPrefix
+    const url = eleventyConfig.getFilter("url")(href);
+    if (content.includes(url) || !content.includes("</head>")) {
+      return content;
+    }
+    return content.replace("</head>", `<link rel="stylesheet" href="${url}">\n</head>`);
+  });
+}
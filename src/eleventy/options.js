@@ -0,0 +1,383 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * Options accepted by the Quesby core (second argument of the default export).
+ * Every value below is the default; user options are validated and merged over it.
+ */
+export const defaultOptions = {
+  // External content folder made available as src/content (falls back to site.contentPath)
+  contentPath: null,
+
+  // How the external content folder becomes src/content
+  contentSync: {
+    mode: "copy",                               // "copy" (incremental) or "symlink" (src/content links to the folder)
+    delete: true,                               // copy mode: delete copies of files removed from the content folder
+    ignore: [".git", ".DS_Store", "Thumbs.db"], // names never copied nor deleted
+    manifest: "./.quesby/content-sync.json",    // files copied by the sync, the only ones it deletes
+  },
+
+  // Locale of the date and number filters (falls back to site.locale, site.language, then "en-US");
+  // pages override it with `locale` frontmatter
+  locale: null,
+
+  // IANA timezone of the date filters, e.g. "Europe/Rome" (falls back to site.timezone, then "utc");
+  // pages override it with `timezone` frontmatter
+  timezone: null,
+
+  // Default ISO 4217 code of the `currency` filter (falls back to site.currency, then "USD")
+  currency: null,
+
+  // Options passed to @11ty/eleventy-img
+  imageOptions: {
+    widths: [320, 640, 960, 1280, null],
+    formats: ["avif", "webp"],
+    outputDir: "./_site/assets/images/",
+    urlPath: "/assets/images/",
+    // Extra format appended last, used by the <img> fallback: "jpeg", "png" or "auto" (source format)
+    fallbackFormat: null,
+    sizes: "100vw",
+    // "fallback" renders a plain <img> and warns, "error" fails the build
+    onMissing: "fallback",
+    // Folders an image source is resolved against, in order (after the page's own folder)
+    searchPaths: ["src", "src/content/media/posts", "src/assets/images"],
+    // Named settings for `{% image src, alt, { preset: "hero" } %}`; other keys are HTML attributes
+    presets: {
+      hero: { widths: [640, 960, 1280, 1920, null], sizes: "100vw", loading: "eager", fetchpriority: "high" },
+      thumbnail: { widths: [160, 320, 480], sizes: "(min-width: 40em) 320px, 50vw" },
+      content: { widths: [320, 640, 960, 1280, null], sizes: "(min-width: 60em) 60em, 100vw" },
+    },
+  },
+
+  // Unified markdown pipeline settings
+  markdownOptions: {
+    gfm: true,
+    html: false,
+    breaks: false,
+    expressiveCode: {
+      themes: ["github-light", "github-dark"],
+      defaultProps: {
+        wrap: true,
+      },
+    },
+    // `:::note Title` blocks and `> [!NOTE]` alerts; `titles` adds or renames callout types
+    callouts: {
+      icons: true,
+      titles: {},
+    },
+    // `$$block$$` (and, with singleDollar, `$inline$`) TeX rendered by KaTeX at build time
+    math: {
+      singleDollar: false, // true to also treat $...$ as math (off so prices like "$5 or $10" stay text)
+      output: "htmlAndMathml",
+      macros: {},
+      failOnError: true,
+      cssPath: "/assets/katex/",
+    },
+    // Extra remark/rehype plugins: { name, plugin, options, before | after: "<stage>" }
+    plugins: [],
+    // Core stages to replace ({ plugin, options }) or disable (false), by name
+    stages: {},
+  },
+
+  // SCSS passthrough (only relevant when paired with Quesby boilerplates)
+  scssOptions: {
+    sourceDir: "packages/@quesby/core/src/sass",
+    outputDir: "/sass",
+  },
+
+  // Passthrough copies: input path -> output path (set an entry to false to drop it)
+  passthrough: {
+    "src/assets": "/assets",
+    "src/admin": "/admin",
+  },
+
+  // Globs used to build the core collections
+  collections: {
+    posts: [
+      "src/content/posts/*/index.md",
+      "src/content/posts/*--*/index.md",
+    ],
+    documentation: ["src/content/documentation/*.md"],
+  },
+
+  // Multilingual content (an empty `locales` list keeps the site single-language)
+  i18n: {
+    locales: [],                // e.g. ["en", "it"]
+    defaultLocale: null,        // falls back to the first entry of `locales`
+    prefixDefaultLocale: false, // /en/blog/... instead of /blog/...
+    dictionaries: "i18n",       // global data key with UI strings (src/_data/i18n/<locale>.json)
+  },
+
+  // Build-time search index
+  search: {
+    indexPath: "/search-index.json",
+    clientPath: "/assets/js/quesby-search.js",
+    collections: ["posts", "documentation"],
+    weights: {
+      title: 10,
+      headings: 5,
+      tags: 4,
+      description: 2,
+      body: 1,
+    },
+    excerptLength: 160,
+    stemming: true,
+  },
+
+  // Heading IDs and table of contents (features.headingIds); pages opt in or out with `toc` frontmatter
+  toc: {
+    collections: ["documentation"], // content types with a TOC by default ("posts", "documentation")
+    levels: [2, 3],                 // heading levels listed, nested by level
+    anchors: false,                 // self-link anchor (#) in each heading
+    title: "On this page",
+    selector: "nav.documentation-toc, nav[data-toc]", // placeholders replaced with the TOC
+  },
+
+  // Video, map and social post embeds: a static facade that loads the provider's iframe only after a click
+  embeds: {
+    clientPath: "/assets/js/quesby-embeds.js",
+    notice: "Playing this video loads content from {provider}.",
+    mapNotice: "Showing this map loads content from {provider}.",
+    postNotice: "Showing this post loads content from {provider}.",
+    fetchPosters: true,      // download the provider thumbnail at build time
+    posterPreset: "content", // image preset used for posters
+    fetchPosts: true,        // download the text and author of social posts at build time
+    mapZoom: 15,             // zoom of maps whose URL doesn't set one
+  },
+
+  // Feeds of the posts collection (features.feeds)
+  feeds: {
+    formats: { atom: "feed.xml", rss: "rss.xml", json: "feed.json" }, // file names; false skips a format
+    path: "/",                          // folder of the blog feeds
+    homeUrl: "/",                       // page the blog feeds link to
+    tags: false,                        // per-tag feeds in tagPath
+    categories: false,                  // per-category feeds in categoryPath
+    tagPath: "/tags/{slug}/",
+    categoryPath: "/categories/{slug}/",
+    content: "full",                    // "full" (absolute URLs) or "summary"
+    limit: 20,                          // entries per feed, 0 for all
+    title: null,                        // defaults to site.name
+    description: null,                  // defaults to site.description
+  },
+
+  // sitemap.xml (features.sitemap) and robots.txt
+  sitemap: {
+    path: "/sitemap.xml",
+    maxUrls: 50000,                 // split into numbered sitemaps and a sitemap index past this
+    images: true,                   // image entries for the images in each page's content
+    robots: false,                  // generate robots.txt (off by default: it would clash with a site's own robots.txt)
+    robotsPath: "/robots.txt",
+    disallow: [],                   // paths disallowed in robots.txt
+    stagingEnv: "QUESBY_STAGING",   // set to "true" to disallow all crawling
+  },
+
+  // Open Graph cards generated for pages without an image (features.socialCards)
+  socialCards: {
+    template: null, // SVG file (1200×630) with {title1}, {description1}, {date}… placeholders; null for the built-in card
+    logo: null,     // defaults to site.logo
+    outputDir: "./_site/assets/images/social/",
+    urlPath: "/assets/images/social/",
+  },
+
+  // SEO audit of the built pages after each build (features.audit)
+  audit: {
+    title: { min: 10, max: 60 },        // title length, in characters
+    description: { min: 50, max: 160 }, // meta description length
+    rules: {},                          // severity overrides: { "og-image-missing": "off" }
+    ignore: ["/404.html"],              // URL prefixes left out of the audit
+    reportDir: "./.quesby",             // seo-audit.json and seo-audit.html
+    formats: ["json", "html"],          // reports written; [] for the console summary only
+    maxErrors: null,                    // fail the build past this many errors (null never fails)
+    maxWarnings: null,
+  },
+
+  // Internal link and anchor check of the built pages after each build (features.links)
+  links: {
+    allow: [],     // links never reported, matched on the URL as written or its path: "/api/*", "/downloads/*.zip"
+    anchors: true, // check #fragments against the IDs of the target page
+    fail: false,   // fail the build on broken links
+  },
+
+  // Page dates from the git history of their source file, or its modification time outside git (features.history)
+  history: {
+    editUrl: null,                           // "https://github.com/me/site/edit/main/{path}" ({path} from the repository root)
+    commitUrl: null,                         // "https://github.com/me/site/commit/{hash}"
+    cacheFile: "./.quesby/git-history.json", // history cached by HEAD commit; "" to read it on every build
+  },
+
+  // Breadcrumb trails (`breadcrumbs` data) and BreadcrumbList structured data (features.breadcrumbs)
+  breadcrumbs: {
+    homeLabel: "Home",
+    blogLabel: "Blog",                   // used when the blog index has no title
+    documentationLabel: "Documentation", // used when the documentation index has no title
+    tags: true,                          // posts: a crumb for their first tag, when the site has a page at tagPath
+    tagPath: "/tags/{slug}/",            // inside the locale's home ("/it/tags/{slug}/")
+  },
+
+  // schema.org structured data (seoJsonLd): `faq`, `howto`, `software` and `schema` frontmatter
+  schema: {
+    strict: true, // fail the build on invalid structured data frontmatter (otherwise warn and drop the node)
+    required: {}, // required properties of more types, e.g. { JobPosting: ["title", "datePosted"] }
+  },
+
+  // Related posts computed for every post (`related` data)
+  related: {
+    count: 4,
+    weights: {
+      tags: 2,
+      categories: 3,
+      text: 5,
+    },
+    minScore: 0.1,
+    sameLocale: true,
+  },
+
+  // Drafts (`draft: true`) and scheduled content (future `publishDate`, or `date` on posts/documentation)
+  drafts: {
+    previewEnv: "QUESBY_PREVIEW_DRAFTS", // set to "true" to render unpublished pages in production builds
+    scheduling: true,
+  },
+
+  // Content lint run before each build (and by the quesby-lint command)
+  lint: {
+    strict: false,   // fail the build when errors are found
+    allowedKeys: [], // extra frontmatter keys used by the site's templates
+  },
+
+  // Redirects generated from `aliases` frontmatter
+  redirects: {
+    html: true,      // meta-refresh page at every alias
+    netlify: false,  // _redirects (Netlify, Cloudflare Pages)
+    apache: false,   // .htaccess
+    nginx: false,    // redirects.nginx.conf (map block)
+  },
+
+  // Feature toggles
+  features: {
+    seo: true,
+    rss: true,
+    expressiveCode: true,
+    imageTransform: true,
+    headingIds: true,
+    sassPassthrough: true,
+    search: true,
+    related: true,
+    drafts: true,
+    lint: true,
+    callouts: true,
+    math: true,
+    embeds: true,
+    feeds: false, // off by default: /feed.xml, /rss.xml and /feed.json would clash with a site's own feed templates
+    sitemap: false, // off by default: /sitemap.xml would clash with a site's own sitemap template
+    breadcrumbs: true,
+    socialCards: true,
+    audit: true,
+    links: true,
+    history: true,
+    redirects: true,
+    i18n: true,
+  },
+};
+
+// Options whose keys are free-form (merged shallowly, not validated)
+const OPEN_OPTIONS = new Set([
+  "imageOptions.presets",
+  "markdownOptions.expressiveCode",
+  "markdownOptions.stages",
+  "feeds.formats",
+  "schema.required",
+  "audit.rules",
+  "markdownOptions.callouts.titles",
+  "markdownOptions.math.macros",
+  "passthrough",
+]);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Recursively merge overrides into defaults, rejecting unknown keys and wrong types
+ */
+function mergeOptions(defaults, overrides, prefix) {
+  const result = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+      const known = Object.keys(defaults).join(", ");
+      throw new Error(
+        `❌ Unknown Quesby option "${keyPath}".\n` +
+        `Valid options${prefix ? ` for "${prefix}"` : ""}: ${known}`
+      );
+    }
+
+    if (value === undefined) continue;
+
+    const expected = defaults[key];
+
+    // null defaults accept any value (resolved later from site.json)
+    if (expected === null) {
+      result[key] = value;
+      continue;
+    }
+
+    if (typeOf(value) !== typeOf(expected)) {
+      throw new Error(
+        `❌ Invalid Quesby option "${keyPath}": expected ${typeOf(expected)}, got ${typeOf(value)}`
+      );
+    }
+
+    if (OPEN_OPTIONS.has(keyPath)) {
+      result[key] = { ...expected, ...value };
+    } else if (isPlainObject(expected)) {
+      result[key] = mergeOptions(expected, value, keyPath);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate user options and merge them over the defaults
+ */
+export function resolveOptions(userOptions = {}) {
+  if (userOptions == null) userOptions = {};
+  if (!isPlainObject(userOptions)) {
+    throw new Error(`❌ Quesby options must be an object, got ${typeOf(userOptions)}`);
+  }
+  return mergeOptions(defaultOptions, userOptions, "");
+}
+
+// Options file shared by a site's Eleventy config and the CLI scripts, in lookup order
+const OPTIONS_FILES = ["quesby.config.js", "quesby.config.mjs", "quesby.config.json"];
+
+/**
+ * Resolved options of a site for the CLI scripts: the default export of its quesby.config.js
+ * (or .mjs, .json), the file its Eleventy config passes to the core; the defaults without one
+ */
+export async function loadSiteOptions(file = null, cwd = process.cwd()) {
+  const found = file
+    ? path.resolve(cwd, file)
+    : OPTIONS_FILES.map((name) => path.resolve(cwd, name)).find((candidate) => fs.existsSync(candidate));
+  if (!found) return resolveOptions({});
+  if (!fs.existsSync(found)) {
+    throw new Error(`❌ Quesby options file not found: ${found}`);
+  }
+
+  if (found.endsWith(".json")) {
+    return resolveOptions(JSON.parse(fs.readFileSync(found, "utf8")));
+  }
+  const module = await import(pathToFileURL(found).href);
+  return resolveOptions(module.default);
+}
@@ -0,0 +1,178 @@
+import { absoluteUrl } from "./utils/url.js";
+import { escapeHtml } from "./utils/html.js";
+
+/**
+ * Normalize an alias from frontmatter to a root-relative URL
+ * Aliases without a file extension get a trailing slash so they render as /alias/index.html
+ */
+export function normalizeAlias(alias) {
+  if (alias === null || alias === undefined) return null;
+  let url = String(alias).trim();
+  if (!url) return null;
+
+  // Keep only the path of absolute URLs
+  if (/^https?:\/\//.test(url)) {
+    url = new URL(url).pathname;
+  }
+
+  url = url.replace(/[?#].*$/, "");
+  if (!url.startsWith("/")) url = `/${url}`;
+  url = url.replace(/\/{2,}/g, "/");
+
+  const lastSegment = url.split("/").pop();
+  if (!lastSegment.includes(".") && !url.endsWith("/")) url += "/";
+
+  return url;
+}
+
+/**
+ * Collect redirects from the `aliases` frontmatter of every page
+ * Throws a single error listing every alias that collides with a real permalink or another alias
+ */
+export function collectRedirects(pages) {
+  const permalinks = new Map(); // url -> inputPath
+  for (const page of pages) {
+    if (page.url) permalinks.set(page.url, page.inputPath);
+  }
+
+  const redirects = new Map(); // from -> { from, to, inputPath }
+  const errors = [];
+
+  for (const page of pages) {
+    const raw = page.data?.aliases;
+    if (!raw || !page.url) continue;
+
+    for (const alias of Array.isArray(raw) ? raw : [raw]) {
+      const from = normalizeAlias(alias);
+      // Skip empty entries and aliases pointing to the page itself (e.g. added by the migration script)
+      if (!from || from === page.url) continue;
+
+      if (permalinks.has(from)) {
+        errors.push(`"${from}" in ${page.inputPath} collides with the permalink of ${permalinks.get(from)}`);
+        continue;
+      }
+
+      const existing = redirects.get(from);
+      if (existing) {
+        if (existing.inputPath !== page.inputPath) {
+          errors.push(`"${from}" is used by both ${existing.inputPath} and ${page.inputPath}`);
+        }
+        continue;
+      }
+
+      redirects.set(from, { from, to: page.url, inputPath: page.inputPath });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ Invalid aliases (${errors.length}):\n` + errors.map((e) => `  - ${e}`).join("\n")
+    );
+  }
+
+  return Array.from(redirects.values()).sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Static meta-refresh page with a canonical link to the target
+ */
+export function renderRedirectHtml(redirect, site = {}) {
+  const target = absoluteUrl(redirect.to, site.url);
+  return [
+    "<!doctype html>",
+    `<html lang="${escapeHtml(site.language || "en")}">`,
+    "<head>",
+    `<meta charset="utf-8">`,
+    `<title>Redirecting…</title>`,
+    `<link rel="canonical" href="${escapeHtml(target)}">`,
+    `<meta name="robots" content="noindex">`,
+    `<meta http-equiv="refresh" content="0; url=${escapeHtml(redirect.to)}">`,
+    "</head>",
+    "<body>",
+    `<p>This page has moved to <a href="${escapeHtml(redirect.to)}">${escapeHtml(target)}</a>.</p>`,
+    "</body>",
+    "</html>",
+  ].join("\n");
+}
+
+/**
+ * Netlify / Cloudflare Pages `_redirects` file
+ */
+export function renderNetlifyRedirects(redirects) {
+  return redirects.map((r) => `${r.from} ${r.to} 301`).join("\n") + "\n";
+}
+
+/**
+ * Apache `.htaccess` rules (RedirectMatch avoids mod_alias prefix matching)
+ */
+export function renderApacheRedirects(redirects) {
+  const lines = redirects.map((r) => {
+    const pattern = r.from.replace(/\/$/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return `RedirectMatch 301 ^${pattern}/?$ ${r.to}`;
+  });
+  return ["# Generated by Quesby from `aliases` frontmatter", ...lines].join("\n") + "\n";
+}
+
+/**
+ * nginx `map` block, to be included inside `http {}` and used with:
+ *   if ($quesby_redirect) { return 301 $quesby_redirect; }
+ */
+export function renderNginxRedirects(redirects) {
+  const lines = redirects.map((r) => `    ${r.from} ${r.to};`);
+  return [
+    "# Generated by Quesby from `aliases` frontmatter",
+    "map $uri $quesby_redirect {",
+    "    default \"\";",
+    ...lines,
+    "}",
+  ].join("\n") + "\n";
+}
+
+const SERVER_FORMATS = {
+  netlify: { permalink: "/_redirects", render: renderNetlifyRedirects },
+  apache: { permalink: "/.htaccess", render: renderApacheRedirects },
+  nginx: { permalink: "/redirects.nginx.conf", render: renderNginxRedirects },
+};
+
+/**
+ * Register the `redirects` collection and the redirect output templates
+ */
+export function register(eleventyConfig, options) {
+  const { redirects: redirectOptions } = options;
+
+  eleventyConfig.addCollection("redirects", (collectionApi) => {
+    const redirects = collectRedirects(collectionApi.getAll());
+    if (redirects.length > 0) {
+      console.log(`[↪️] Collection redirects: found ${redirects.length} aliases`);
+    }
+    return redirects;
+  });
+
+  if (redirectOptions.html) {
+    eleventyConfig.addTemplate("quesby-redirects.11ty.js", {
+      data: {
+        pagination: { data: "collections.redirects", size: 1, alias: "redirect" },
+        permalink: (data) => data.redirect.from,
+        eleventyExcludeFromCollections: true,
+        layout: false,
+      },
+      render(data) {
+        return renderRedirectHtml(data.redirect, data.site);
+      },
+    });
+  }
+
+  for (const [name, format] of Object.entries(SERVER_FORMATS)) {
+    if (!redirectOptions[name]) continue;
+    eleventyConfig.addTemplate(`quesby-redirects-${name}.11ty.js`, {
+      data: {
+        permalink: format.permalink,
+        eleventyExcludeFromCollections: true,
+        layout: false,
+      },
+      render(data) {
+        return format.render(data.collections.redirects || []);
+      },
+    });
+  }
+}
@@ -0,0 +1,182 @@
+import { tokenize } from "../client/search.js";
+
+// Tags shared by (almost) every post carry no signal
+const TAGS_EXCLUDE = new Set(["all", "nav", "post", "posts", "blog"]);
+
+// Keep only the strongest terms of each post to bound the cost of comparisons
+const MAX_TERMS_PER_POST = 60;
+
+/**
+ * Plain text of a post's rendered content
+ */
+export function plainText(html = "") {
+  return String(html)
+    .replace(/<(script|style|pre|code)\b[^>]*>[\s\S]*?<\/\1>/gi, " ") // code and scripts
+    .replace(/<[^>]+>/g, " ")           // tags
+    .replace(/&[#\w]+;/g, " ");        // entities
+}
+
+/**
+ * Slugs of a taxonomy field, normalized like postsByTagSlug / postsByCategorySlug
+ */
+function taxonomySlugs(value, slugify) {
+  const slugs = new Set();
+  (Array.isArray(value) ? value : value ? [value] : []).forEach((entry) => {
+    const name = String(entry || "").trim();
+    if (!name || TAGS_EXCLUDE.has(name)) return;
+    const slug = slugify(name);
+    if (slug && !TAGS_EXCLUDE.has(slug)) slugs.add(slug);
+  });
+  return slugs;
+}
+
+function countShared(a, b) {
+  let shared = 0;
+  for (const value of a) if (b.has(value)) shared++;
+  return shared;
+}
+
+/**
+ * Normalized TF-IDF vectors for every post
+ */
+function buildVectors(texts) {
+  const termCounts = texts.map((text) => {
+    const counts = new Map();
+    for (const token of tokenize(text)) counts.set(token, (counts.get(token) || 0) + 1);
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return termCounts.map((counts) => {
+    const weights = Array.from(counts, ([term, count]) => [
+      term,
+      (1 + Math.log(count)) * Math.log(1 + texts.length / documentFrequency.get(term)),
+    ])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_TERMS_PER_POST);
+    const norm = Math.sqrt(weights.reduce((sum, [, w]) => sum + w * w, 0)) || 1;
+    return new Map(weights.map(([term, w]) => [term, w / norm]));
+  });
+}
+
+/**
+ * Find the post referenced by a manual `related:` entry (URL, slug, folder or ULID)
+ */
+function findPost(posts, reference) {
+  const ref = String(reference || "").trim();
+  if (!ref) return null;
+  const url = ref.startsWith("/") ? ref.replace(/\/?$/, "/") : null;
+  return posts.find((post) =>
+    (url && post.url === url) ||
+    post.data.slug === ref ||
+    post.fileSlug === ref ||
+    post.fileSlug?.split("--")[0] === ref
+  ) || null;
+}
+
+/**
+ * Compute related posts for every post
+ * Returns { [url]: posts[] } with manual `related:` entries pinned first
+ * `pins` maps posts to their `related:` entries (their `related` data by default)
+ */
+export function computeRelatedPosts(posts, settings, slugify, pins = null) {
+  const { count, weights, minScore } = settings;
+  const candidates = posts.filter((post) => post.url);
+
+  const tags = candidates.map((post) => taxonomySlugs(post.data.tags, slugify));
+  const categories = candidates.map((post) =>
+    taxonomySlugs(post.data.category ?? post.data.categories, slugify)
+  );
+  const vectors = buildVectors(
+    candidates.map((post) => `${post.data.title || ""} ${plainText(post.templateContent)}`)
+  );
+
+  // Inverted index to only compare posts sharing at least one term
+  const postsByTerm = new Map();
+  vectors.forEach((vector, i) => {
+    for (const term of vector.keys()) {
+      if (!postsByTerm.has(term)) postsByTerm.set(term, []);
+      postsByTerm.get(term).push(i);
+    }
+  });
+
+  const result = {};
+
+  candidates.forEach((post, i) => {
+    const similarity = new Map();
+    for (const [term, weight] of vectors[i]) {
+      for (const j of postsByTerm.get(term)) {
+        if (j === i) continue;
+        similarity.set(j, (similarity.get(j) || 0) + weight * vectors[j].get(term));
+      }
+    }
+
+    const scored = [];
+    candidates.forEach((other, j) => {
+      if (j === i) return;
+      // Only relate posts written in the same language
+      if (settings.sameLocale && other.data.locale !== post.data.locale) return;
+      const score =
+        weights.tags * countShared(tags[i], tags[j]) +
+        weights.categories * countShared(categories[i], categories[j]) +
+        weights.text * (similarity.get(j) || 0);
+      if (score >= minScore) scored.push({ post: other, score });
+    });
+    scored.sort((a, b) => b.score - a.score);
+
+    // Manual overrides first, in the order they are listed
+    const manual = pins ? pins.get(post) : post.data.related;
+    const pinned = [];
+    (Array.isArray(manual) ? manual : manual ? [manual] : []).forEach((reference) => {
+      const target = findPost(candidates, reference);
+      if (!target) {
+        console.warn(`⚠️ Related post not found: "${reference}" in ${post.inputPath}`);
+        return;
+      }
+      if (target !== post && !pinned.includes(target)) pinned.push(target);
+    });
+
+    const related = [...pinned];
+    for (const { post: other } of scored) {
+      if (related.length >= Math.max(count, pinned.length)) break;
+      if (!related.includes(other)) related.push(other);
+    }
+
+    result[post.url] = related;
+  });
+
+  return result;
+}
+
+/**
+ * Register the `relatedPosts` collection ({ [url]: posts[] })
+ * Eleventy renders the content of every page before their layouts: the lists start empty
+ * and are filled in place on `eleventy.layouts`, from the rendered content of every post
+ */
+export function register(eleventyConfig, options, { getPosts }) {
+  let pending = null;
+
+  eleventyConfig.addCollection("relatedPosts", (collectionApi) => {
+    const posts = getPosts(collectionApi);
+    const lists = Object.fromEntries(posts.filter((post) => post.url).map((post) => [post.url, []]));
+    // `related` data becomes these lists: keep the frontmatter entries
+    const pins = new Map(posts.map((post) => [post, post.data.related]));
+    pending = { posts, lists, pins };
+    return lists;
+  });
+
+  eleventyConfig.on("eleventy.layouts", () => {
+    if (!pending) return;
+    const { posts, lists, pins } = pending;
+    pending = null;
+    const slugify = eleventyConfig.getFilter("slugify");
+    const related = computeRelatedPosts(posts, options.related, slugify, pins);
+    for (const [url, list] of Object.entries(lists)) list.push(...(related[url] || []));
+  });
+}
@@ -0,0 +1,307 @@
+import { absoluteUrl } from "./utils/url.js";
+import { breadcrumbListSchema } from "./breadcrumbs.js";
+
+/**
+ * schema.org structured data of a page as a single @graph: the publisher, the website,
+ * the page, its breadcrumbs, its main entity (article, software, HowTo) and custom nodes
+ * from `schema` frontmatter, linked together by stable @id references
+ *
+ *   <site>/#organization or <site>/#person   publisher (site.publisher)
+ *   <site>/#person-<name>                     authors (site.authors)
+ *   <site>/#website
+ *   <page>#webpage, #breadcrumb, #article, #software, #howto
+ */
+
+// Properties nodes of a type need (extended by schema.required)
+export const REQUIRED_PROPERTIES = {
+  Article: ["headline"],
+  BlogPosting: ["headline"],
+  NewsArticle: ["headline"],
+  TechArticle: ["headline"],
+  Question: ["name", "acceptedAnswer"],
+  Answer: ["text"],
+  HowTo: ["name", "step"],
+  HowToStep: ["text"],
+  SoftwareApplication: ["name"],
+  Offer: ["price", "priceCurrency"],
+  Event: ["name", "startDate", "location"],
+  Product: ["name"],
+  Course: ["name", "description", "provider"],
+  VideoObject: ["name", "thumbnailUrl", "uploadDate"],
+  Review: ["itemReviewed", "reviewRating", "author"],
+  Rating: ["ratingValue"],
+  Person: ["name"],
+  Organization: ["name"],
+};
+
+const ARTICLE_TYPES = new Set(["Article", "BlogPosting", "NewsArticle", "TechArticle"]);
+const WEBPAGE_TYPES = new Set(["WebPage", "AboutPage", "ContactPage", "CollectionPage", "ProfilePage", "SearchResultsPage"]);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Drop empty properties
+ */
+function compact(node) {
+  return Object.fromEntries(Object.entries(node).filter(([, value]) => !isEmpty(value)));
+}
+
+const ref = (node) => (node ? { "@id": node["@id"] } : undefined);
+const toArray = (value) => (Array.isArray(value) ? value : isEmpty(value) ? [] : [value]);
+
+function nameSlug(name) {
+  return String(name).toLowerCase().normalize("NFKD").replace(/[^\w]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * Problems of a node and of the typed nodes nested in it: ['schema[0]: Event is missing "startDate"']
+ */
+export function validateNode(node, required = REQUIRED_PROPERTIES, path = "node") {
+  if (Array.isArray(node)) {
+    return node.flatMap((item, i) => validateNode(item, required, `${path}[${i}]`));
+  }
+  if (!node || typeof node !== "object") return [];
+
+  const problems = [];
+  for (const type of toArray(node["@type"])) {
+    for (const property of required[type] || []) {
+      if (isEmpty(node[property])) problems.push(`${path}: ${type} is missing "${property}"`);
+    }
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (value && typeof value === "object") problems.push(...validateNode(value, required, `${path}.${key}`));
+  }
+  return problems;
+}
+
+/**
+ * Publisher of the site: site.publisher ({ type: "Organization" | "Person", name, url, logo, sameAs }),
+ * defaulting to an Organization named after the site
+ */
+function publisherNode(site, siteRoot) {
+  const publisher = site.publisher || {};
+  const type = publisher.type === "Person" ? "Person" : "Organization";
+  const name = publisher.name || site.name;
+  if (!name) return null;
+
+  const logo = publisher.logo || site.logo;
+  const twitter = site.twitter ? `https://x.com/${site.twitter.replace(/^@/, "")}` : null;
+  const sameAs = Array.from(new Set([...toArray(publisher.sameAs || site.sameAs), ...(twitter ? [twitter] : [])]));
+  return compact({
+    "@type": type,
+    "@id": `${siteRoot}#${type.toLowerCase()}`,
+    name,
+    url: absoluteUrl(publisher.url || "/", site.url),
+    ...(type === "Organization"
+      ? { logo: logo ? { "@type": "ImageObject", url: absoluteUrl(logo, site.url) } : undefined }
+      : { image: logo ? absoluteUrl(logo, site.url) : undefined }),
+    sameAs,
+  });
+}
+
+/**
+ * Person nodes of the page's authors: keys or names of site.authors ({ name, url, image, jobTitle, sameAs }),
+ * plain names, or objects; an author who is the publisher is a reference to it
+ */
+function authorNodes(author, site, siteRoot, publisher) {
+  const authors = site.authors || {};
+  return toArray(author).map((value) => {
+    const entry = typeof value === "string"
+      ? authors[value] || Object.values(authors).find((candidate) => candidate?.name === value) || { name: value }
+      : value;
+    if (!entry?.name) return null;
+    if (publisher?.["@type"] === "Person" && publisher.name === entry.name) return publisher;
+
+    return compact({
+      "@type": "Person",
+      "@id": `${siteRoot}#person-${nameSlug(entry.name)}`,
+      name: entry.name,
+      url: entry.url ? absoluteUrl(entry.url, site.url) : undefined,
+      image: entry.image ? absoluteUrl(entry.image, site.url) : undefined,
+      jobTitle: entry.jobTitle,
+      sameAs: toArray(entry.sameAs),
+    });
+  }).filter(Boolean);
+}
+
+/**
+ * FAQ questions from `faq` frontmatter: [{ question, answer }]
+ */
+function faqQuestions(faq) {
+  return toArray(faq).map((item) => compact({
+    "@type": "Question",
+    name: item?.question,
+    acceptedAnswer: item?.answer ? { "@type": "Answer", text: item.answer } : undefined,
+  }));
+}
+
+/**
+ * HowTo from `howto` frontmatter: { name, description, totalTime, supply, tool, steps }
+ * Steps are strings or { name, text, url, image }
+ */
+function howtoNode(howto, model, site) {
+  return compact({
+    "@type": "HowTo",
+    "@id": `${model.url}#howto`,
+    name: howto.name || model.title,
+    description: howto.description || model.description,
+    totalTime: howto.totalTime,
+    supply: toArray(howto.supply).map((name) => ({ "@type": "HowToSupply", name })),
+    tool: toArray(howto.tool).map((name) => ({ "@type": "HowToTool", name })),
+    step: toArray(howto.steps).map((step, i) => compact({
+      "@type": "HowToStep",
+      position: i + 1,
+      ...(typeof step === "string" ? { text: step } : {
+        name: step?.name,
+        text: step?.text,
+        url: step?.url ? (step.url.startsWith("#") ? `${model.url}${step.url}` : absoluteUrl(step.url, site.url)) : undefined,
+        image: step?.image ? absoluteUrl(step.image, site.url) : undefined,
+      }),
+    })),
+    mainEntityOfPage: { "@id": `${model.url}#webpage` },
+  });
+}
+
+/**
+ * SoftwareApplication from `software` frontmatter:
+ * { name, category, operatingSystem, version, price, currency, downloadUrl }
+ */
+function softwareNode(software, model, site, publisher) {
+  return compact({
+    "@type": "SoftwareApplication",
+    "@id": `${model.url}#software`,
+    name: software.name || model.title,
+    description: model.description,
+    image: model.image,
+    url: model.url,
+    applicationCategory: software.category,
+    operatingSystem: software.operatingSystem,
+    softwareVersion: isEmpty(software.version) ? undefined : String(software.version),
+    downloadUrl: software.downloadUrl ? absoluteUrl(software.downloadUrl, site.url) : undefined,
+    offers: isEmpty(software.price) ? undefined : compact({
+      "@type": "Offer",
+      price: String(software.price),
+      priceCurrency: software.currency,
+    }),
+    publisher: ref(publisher),
+    mainEntityOfPage: { "@id": `${model.url}#webpage` },
+  });
+}
+
+/**
+ * Resolve relative @id references of custom nodes: "#webpage" against the page, "/#organization" against the site
+ */
+function resolveIds(value, model, site) {
+  if (Array.isArray(value)) return value.map((item) => resolveIds(item, model, site));
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (key === "@id" && typeof item === "string") {
+      if (item.startsWith("#")) return [key, `${model.url}${item}`];
+      if (item.startsWith("/")) return [key, absoluteUrl(item, site.url)];
+    }
+    return [key, resolveIds(item, model, site)];
+  }));
+}
+
+/**
+ * Custom nodes from `schema` frontmatter (a node or a list), without @id they get <page>#schema-<n>
+ */
+function customNodes(schema, model, site) {
+  return toArray(schema).map((node, i) => {
+    const { "@context": context, ...rest } = node && typeof node === "object" ? node : {};
+    return resolveIds({ "@id": `#schema-${i + 1}`, ...rest }, model, site);
+  });
+}
+
+/**
+ * Nodes built from frontmatter are validated: invalid ones fail the build in strict mode,
+ * otherwise they are dropped with a warning
+ */
+function checked(nodes, label, model, settings) {
+  const required = { ...REQUIRED_PROPERTIES, ...settings.required };
+  return nodes.filter((node, i) => {
+    const problems = node["@type"] ? validateNode(node, required, `${label}[${i}]`) : [`${label}[${i}]: missing "@type"`];
+    if (problems.length === 0) return true;
+
+    const message = `Invalid structured data in ${model.inputPath || model.url}:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`;
+    if (settings.strict) throw new Error(`❌ ${message}`);
+    console.warn(`⚠️ ${message}`);
+    return false;
+  });
+}
+
+/**
+ * The @graph of a page from its SEO model
+ */
+export function buildSchemaGraph(model, site, settings) {
+  const siteRoot = absoluteUrl("/", site.url);
+  const publisher = publisherNode(site, siteRoot);
+
+  const website = compact({
+    "@type": "WebSite",
+    "@id": `${siteRoot}#website`,
+    url: siteRoot,
+    name: site.name,
+    description: site.description,
+    inLanguage: site.language,
+    publisher: ref(publisher),
+  });
+
+  const breadcrumb = breadcrumbListSchema(model.breadcrumbs, site.url, `${model.url}#breadcrumb`);
+  const questions = checked(faqQuestions(model.faq), "faq", model, settings);
+  const pageType = WEBPAGE_TYPES.has(model.schemaType) ? model.schemaType : "WebPage";
+  const webpage = compact({
+    "@type": questions.length > 0 ? [pageType, "FAQPage"] : pageType,
+    "@id": `${model.url}#webpage`,
+    url: model.url,
+    name: model.title,
+    description: model.description,
+    isPartOf: ref(website),
+    inLanguage: model.locale,
+    primaryImageOfPage: model.image
+      ? compact({ "@type": "ImageObject", url: model.image, width: model.imageWidth, height: model.imageHeight })
+      : undefined,
+    datePublished: model.datePublished,
+    dateModified: model.dateModified,
+    breadcrumb: ref(breadcrumb),
+    mainEntity: questions,
+  });
+
+  const graph = [publisher, website, webpage, breadcrumb];
+
+  if (ARTICLE_TYPES.has(model.schemaType)) {
+    const authors = authorNodes(model.author, site, siteRoot, publisher);
+    graph.push(...authors.filter((author) => author !== publisher), compact({
+      "@type": model.schemaType,
+      "@id": `${model.url}#article`,
+      headline: model.title,
+      description: model.description,
+      image: model.image,
+      author: authors.map(ref),
+      publisher: ref(publisher),
+      datePublished: model.datePublished,
+      dateModified: model.dateModified,
+      inLanguage: model.locale,
+      mainEntityOfPage: ref(webpage),
+      keywords: model.tags.length > 0 ? model.tags.join(", ") : undefined,
+    }));
+  }
+
+  if (model.software || model.schemaType === "SoftwareApplication") {
+    graph.push(...checked([softwareNode(model.software || {}, model, site, publisher)], "software", model, settings));
+  }
+  if (model.howto) {
+    graph.push(...checked([howtoNode(model.howto, model, site)], "howto", model, settings));
+  }
+  graph.push(...checked(customNodes(model.schema, model, site), "schema", model, settings));
+
+  return { "@context": "https://schema.org", "@graph": graph.filter(Boolean) };
+}
+
+/**
+ * JSON for a <script> element ("<" escaped so content can't close it)
+ */
+export function jsonLdScript(data) {
+  return `<script type="application/ld+json">\n${JSON.stringify(data, null, 2).replace(/</g, "\\u003c")}\n</script>`;
+}
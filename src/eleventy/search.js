@@ -0,0 +1,152 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import * as cheerio from "cheerio";
+import { tokenize } from "../client/search.js";
+import { escapeHtml } from "./utils/html.js";
+
+const CLIENT_PATH = fileURLToPath(new URL("../client/search.js", import.meta.url));
+
+/**
+ * Extract the searchable fields of a collection item
+ */
+export function extractSearchFields(item) {
+  // Reading templateContent early lets Eleventy render this template after the items it indexes
+  const $ = cheerio.load(item.templateContent || "");
+  $("script, style, noscript, template").remove();
+  const headings = $("h1, h2, h3, h4, h5, h6")
+    .map((i, el) => $(el).text())
+    .get()
+    .join(" ");
+  $("h1, h2, h3, h4, h5, h6").remove();
+  const body = $.root().text().replace(/\s+/g, " ").trim();
+
+  const tags = item.data?.tags;
+  return {
+    title: item.data?.title || "",
+    description: item.data?.description || "",
+    headings,
+    tags: (Array.isArray(tags) ? tags : tags ? [tags] : []).join(" "),
+    body,
+  };
+}
+
+/**
+ * Build the compact search index
+ * docs: [url, title, excerpt, type, locale]
+ * terms: { term: [docIndex, score, docIndex, score, ...] }
+ */
+export function buildSearchIndex(entries, { weights, excerptLength, stemming }) {
+  const docs = [];
+  const terms = new Map();
+
+  entries.forEach(({ item, type }) => {
+    const fields = extractSearchFields(item);
+    const docIndex = docs.length;
+    const excerpt = (fields.description || fields.body).slice(0, excerptLength).trim();
+    docs.push([item.url, fields.title, excerpt, type, item.data?.locale || null]);
+
+    // Field-weighted, log-scaled term frequency
+    const termScores = new Map();
+    for (const [field, weight] of Object.entries(weights)) {
+      const counts = new Map();
+      for (const token of tokenize(fields[field], { stemming })) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+      for (const [token, count] of counts) {
+        termScores.set(token, (termScores.get(token) || 0) + weight * (1 + Math.log(count)));
+      }
+    }
+
+    for (const [token, score] of termScores) {
+      if (!terms.has(token)) terms.set(token, []);
+      terms.get(token).push(docIndex, Math.round(score * 100) / 100);
+    }
+  });
+
+  return {
+    version: 1,
+    stemming,
+    docs,
+    terms: Object.fromEntries(Array.from(terms).sort(([a], [b]) => a.localeCompare(b))),
+  };
+}
+
+/**
+ * Items of a collection in every locale (falls back to the plain collection)
+ */
+function collectionItems(collections, name) {
+  const byLocale = collections[`${name}ByLocale`];
+  if (byLocale && typeof byLocale === "object") {
+    return Object.values(byLocale).flat();
+  }
+  return Array.isArray(collections[name]) ? collections[name] : [];
+}
+
+/**
+ * Register the search index, the client module and the `searchBox` shortcode
+ */
+export function register(eleventyConfig, options) {
+  const { search: searchOptions } = options;
+
+  eleventyConfig.addTemplate("quesby-search-index.11ty.js", {
+    data: {
+      permalink: searchOptions.indexPath,
+      eleventyExcludeFromCollections: true,
+      layout: false,
+    },
+    render(data) {
+      const seen = new Set();
+      const entries = [];
+      for (const name of searchOptions.collections) {
+        for (const item of collectionItems(data.collections, name)) {
+          if (!item.url || seen.has(item.url) || item.data?.searchExclude) continue;
+          seen.add(item.url);
+          entries.push({ item, type: name });
+        }
+      }
+
+      const index = buildSearchIndex(entries, searchOptions);
+      console.log(`[🔎] Search index: ${index.docs.length} documents, ${Object.keys(index.terms).length} terms`);
+      return JSON.stringify(index);
+    },
+  });
+
+  // Ship the client module as-is (no bundler needed)
+  eleventyConfig.addTemplate("quesby-search-client.11ty.js", {
+    data: {
+      permalink: searchOptions.clientPath,
+      eleventyExcludeFromCollections: true,
+      layout: false,
+    },
+    render() {
+      return fs.readFileSync(CLIENT_PATH, "utf8");
+    },
+  });
+
+  // Search box wired to the client module
+  // Usage: {% searchBox %} or {% searchBox { placeholder: "Search docs", limit: 5 } %}
+  let counter = 0;
+  eleventyConfig.addShortcode("searchBox", function (settings = {}) {
+    const id = `quesby-search-${++counter}`;
+    const locale = settings.locale ?? this?.ctx?.locale ?? "";
+    const label = settings.label || "Search";
+    const placeholder = settings.placeholder || label;
+
+    return [
+      `<div class="quesby-search" id="${id}" data-search-index="${escapeHtml(searchOptions.indexPath)}"` +
+        ` data-search-locale="${escapeHtml(locale)}" data-search-limit="${Number(settings.limit) || 10}"` +
+        ` data-search-empty="${escapeHtml(settings.empty || "No results")}">`,
+      `  <form role="search">`,
+      `    <label for="${id}-input">${escapeHtml(label)}</label>`,
+      `    <input type="search" id="${id}-input" name="q" placeholder="${escapeHtml(placeholder)}" autocomplete="off">`,
+      `  </form>`,
+      `  <p class="quesby-search__status" data-search-status aria-live="polite"></p>`,
+      `  <ul class="quesby-search__results" data-search-results></ul>`,
+      `</div>`,
+      `<script type="module">`,
+      `  import { mount } from ${JSON.stringify(searchOptions.clientPath)};`,
+      `  mount(document.getElementById("${id}"));`,
+      `</script>`,
+    ].join("\n");
+  });
+}
@@ -1,101 +1,54 @@
 import { absoluteUrl } from "./utils/url.js";
-import { DateTime } from "luxon";
-import path from "node:path";
-import fs from "fs";
-import Image from "@11ty/eleventy-img";
+import { escapeHtml } from "./utils/html.js";
+import { parseDate } from "./utils/dates.js";
+import { defaultOptions } from "./options.js";
+import { getImageService, isExternalImage, largestImage } from "./images.js";
+import { feedLinks } from "./feeds.js";
+import { buildSchemaGraph, jsonLdScript } from "./schema.js";
+import { socialCard } from "./cards.js";
 
 /**
- * Process image with Eleventy Image and return processed URL
- * Returns the URL of the processed image (largest size) or fallback to original URL
+ * Open Graph locale of a language tag: "en-US" -> "en_US", "it" -> "it_IT" (likely region)
  */
-function processSeoImage(imageSrc, siteUrl) {
-  if (!imageSrc || imageSrc.includes("http")) {
-    // If already absolute URL or empty, return as-is
-    return imageSrc ? absoluteUrl(imageSrc, siteUrl) : null;
-  }
-
-  // Try to resolve image path using same logic as image shortcode
-  const possiblePaths = [];
-  
-  // If starts with /, try src/ + path
-  if (imageSrc.startsWith('/')) {
-    possiblePaths.push(path.join(process.cwd(), "src", imageSrc.substring(1)));
-  }
-  // If starts with content/ or assets/, try src/ + path
-  else if (imageSrc.startsWith('content/') || imageSrc.startsWith('assets/')) {
-    possiblePaths.push(path.join(process.cwd(), "src", imageSrc));
-  }
-  // Try common post image paths
-  else {
-    // Try /content/media/posts/ + filename (common pattern for posts)
-    possiblePaths.push(path.join(process.cwd(), "src", "content", "media", "posts", imageSrc));
-    // Try content/media/posts/ + filename
-    possiblePaths.push(path.join(process.cwd(), "src", "content/media/posts", imageSrc));
-    // Try assets/images/ + filename
-    possiblePaths.push(path.join(process.cwd(), "src", "assets/images", imageSrc));
-    // Try src/ + filename as fallback
-    possiblePaths.push(path.join(process.cwd(), "src", imageSrc));
+function ogLocale(locale) {
+  try {
+    const { language, region } = new Intl.Locale(locale).maximize();
+    if (region) return `${language}_${region}`;
+  } catch {
+    // Malformed tag
   }
+  return String(locale).replace(/-/g, "_");
+}
 
-  // Find first existing path
-  let resolvedPath = null;
-  for (const testPath of possiblePaths) {
-    if (fs.existsSync(testPath)) {
-      resolvedPath = testPath;
-      break;
-    }
+/**
+ * Process image with Eleventy Image
+ * Returns { url, width, height } of the processed image (largest size), or the original URL
+ * without dimensions when it can't be processed
+ * `inputPath` resolves frontmatter images relative to the page's own folder
+ */
+function processSeoImage(imageSrc, siteUrl, imageOptions = defaultOptions.imageOptions, inputPath = null) {
+  const original = { url: absoluteUrl(imageSrc, siteUrl), width: null, height: null };
+  if (isExternalImage(imageSrc)) {
+    // Already absolute: dimensions unknown
+    return original;
   }
 
+  const images = getImageService(imageOptions);
+  const context = { inputPath };
+  const { path: resolvedPath, tried } = images.resolve(imageSrc, context);
   if (!resolvedPath) {
-    // Image not found, return original URL as fallback
-    return absoluteUrl(imageSrc, siteUrl);
+    // Fails the build when imageOptions.onMissing is "error"
+    images.missing(imageSrc, tried, context);
+    return original;
   }
 
   try {
-    // Process image with Eleventy Image (sync version)
-    const metadata = Image.statsSync(resolvedPath, {
-      widths: [320, 640, 960, 1280, null],
-      formats: ["avif", "webp"],
-      outputDir: "./_site/assets/images/",
-      urlPath: "/assets/images/",
-    });
-
-    // Get the largest image (prefer webp, then avif, then original format)
-    let largestImage = null;
-
-    // Prefer webp format if available
-    if (metadata.webp && metadata.webp.length > 0) {
-      // Get largest webp (sort by width descending)
-      const webpImages = metadata.webp.sort((a, b) => (b.width || 0) - (a.width || 0));
-      largestImage = webpImages[0];
-    } 
-    // Fallback to avif
-    else if (metadata.avif && metadata.avif.length > 0) {
-      const avifImages = metadata.avif.sort((a, b) => (b.width || 0) - (a.width || 0));
-      largestImage = avifImages[0];
-    }
-    // Fallback to any other format
-    else {
-      for (const format in metadata) {
-        if (metadata[format] && metadata[format].length > 0) {
-          const images = metadata[format].sort((a, b) => (b.width || 0) - (a.width || 0));
-          largestImage = images[0];
-          break;
-        }
-      }
-    }
-
-    if (largestImage) {
-      // Return absolute URL of processed image
-      return absoluteUrl(largestImage.url, siteUrl);
-    }
-
-    // Fallback to original URL if processing succeeded but no image found
-    return absoluteUrl(imageSrc, siteUrl);
+    const largest = largestImage(images.processSync(imageSrc, {}, context));
+    return largest ? { url: absoluteUrl(largest.url, siteUrl), width: largest.width, height: largest.height } : original;
   } catch (error) {
     // If processing fails, return original URL as fallback
     console.warn(`[SEO] Failed to process image ${imageSrc}:`, error.message);
-    return absoluteUrl(imageSrc, siteUrl);
+    return original;
   }
 }
 
@@ -103,18 +56,35 @@ function processSeoImage(imageSrc, siteUrl) {
  * Build SEO model from page, site, and data
  * Returns normalized SEO data structure
  */
-export function buildSeoModel(page, site, data = {}) {
+export function buildSeoModel(page, site, data = {}, options = defaultOptions) {
   // Resolve title with fallback hierarchy
   const seoTitle = data.seoTitle || data.postTitle || data.title || site.name || "";
   
   // Resolve description with fallback
   const seoDescription = data.postDescription || data.description || site.description || "";
   
-  // Resolve image with fallback and process with Eleventy Image
-  let seoImage = data.postImage || data.image || site.socialImage || null;
-  if (seoImage) {
-    seoImage = processSeoImage(seoImage, site.url);
+  // Calendar dates in the timezone of the page or the site
+  const zone = data.timezone || options.timezone || site.timezone || "utc";
+
+  // Resolve image with fallback: the page's image, its generated card, then site.socialImage
+  const pageImage = data.postImage || data.image || null;
+  let image = null;
+  if (pageImage) {
+    image = processSeoImage(pageImage, site.url, options.imageOptions, page?.inputPath);
+  } else if (options.features?.socialCards && page?.url) {
+    const card = socialCard({
+      title: seoTitle,
+      description: seoDescription,
+      date: data.date,
+      timezone: zone,
+      tags: Array.isArray(data.tags) ? data.tags : (data.tags ? [data.tags] : []),
+      locale: data.locale,
+    }, site, options.socialCards, options.imageOptions);
+    image = { ...card, url: absoluteUrl(card.url, site.url) };
+  } else if (site.socialImage) {
+    image = processSeoImage(site.socialImage, site.url, options.imageOptions);
   }
+  const seoImage = image ? image.url : null;
   
   // Build page URL
   const pageUrl = absoluteUrl(page?.url || "", site.url);
@@ -131,40 +101,43 @@ export function buildSeoModel(page, site, data = {}) {
   // Twitter handle (clean @ symbol)
   const twitterHandle = site.twitter ? site.twitter.replace(/^@/, "") : null;
   
-  // Schema type for JSON-LD (default based on postType)
-  const schemaType = data.schemaType || (postType === "article" ? "BlogPosting" : "WebPage");
+  // Schema type for JSON-LD (default based on postType; documentation pages are technical articles)
+  const isDocumentation = (page?.inputPath || "").includes("/content/documentation/");
+  const schemaType = data.schemaType || (postType === "article" ? "BlogPosting" : isDocumentation ? "TechArticle" : "WebPage");
   
   // Date handling for JSON-LD
   let datePublished = null;
   let dateModified = null;
   
-  if (data.date) {
-    try {
-      const dt = typeof data.date === "string" 
-        ? DateTime.fromISO(data.date) 
-        : DateTime.fromJSDate(data.date);
-      datePublished = dt.isValid ? dt.toFormat("yyyy-MM-dd") : null;
-      dateModified = datePublished; // Default to same as published
-    } catch (e) {
-      // Ignore date parsing errors
-    }
+  const published = parseDate(data.date, zone);
+  if (published) {
+    datePublished = published.toFormat("yyyy-MM-dd");
+    dateModified = datePublished; // Default to same as published
   }
-  
-  if (data.lastUpdated && datePublished) {
-    try {
-      const dt = typeof data.lastUpdated === "string"
-        ? DateTime.fromISO(data.lastUpdated)
-        : DateTime.fromJSDate(data.lastUpdated);
-      dateModified = dt.isValid ? dt.toFormat("yyyy-MM-dd") : datePublished;
-    } catch (e) {
-      // Ignore date parsing errors
-    }
+
+  // `lastUpdated` frontmatter, else the last change of the source file (`updatedAt`) when it follows publication
+  const changed = parseDate(data.updatedAt, zone);
+  const updated = parseDate(data.lastUpdated, zone) || (changed && (!published || changed >= published) ? changed : null);
+  if (updated) {
+    dateModified = updated.toFormat("yyyy-MM-dd");
   }
+
+  // Locale and translated versions of the page (hreflang alternates)
+  const locale = data.locale || site.language || null;
+  const alternates = (Array.isArray(data.translations) ? data.translations : [])
+    .filter((t) => t && t.url && t.locale)
+    .map((t) => ({
+      locale: t.locale,
+      url: absoluteUrl(t.url, site.url),
+      isDefaultLocale: Boolean(t.isDefaultLocale),
+    }));
   
   return {
     title: seoTitle,
     description: seoDescription,
     image: seoImage,
+    imageWidth: image?.width || null,
+    imageHeight: image?.height || null,
     imageAlt: data.ogImageAlt || seoTitle, // Custom alt text for og:image:alt, fallback to title
     url: pageUrl,
     postType,
@@ -177,6 +150,16 @@ export function buildSeoModel(page, site, data = {}) {
     datePublished,
     dateModified,
     noindex: data.noindex || false,
+    locale,
+    alternates,
+    feeds: options.features?.feeds ? feedLinks(options.feeds, site) : [],
+    breadcrumbs: options.features?.breadcrumbs && Array.isArray(data.breadcrumbs) ? data.breadcrumbs : [],
+    // Structured data from frontmatter (see schema.js)
+    faq: data.faq || null,
+    howto: data.howto || null,
+    software: data.software || null,
+    schema: data.schema || null,
+    inputPath: page?.inputPath || null,
     // Flags for disabling parts of SEO
     disableJsonLd: data.seoDisableCoreJsonLd || false,
     disableHead: data.seoDisableCoreHead || false,
@@ -208,12 +191,31 @@ export function generateSeoHeadHtml(seoModel, site) {
   // Canonical
   parts.push(`<link rel="canonical" href="${escapeHtml(seoModel.url)}">`);
   
+  // Hreflang alternates (only when the page has translations)
+  const alternates = seoModel.alternates || [];
+  if (alternates.length > 1) {
+    alternates.forEach((alt) => {
+      parts.push(`<link rel="alternate" hreflang="${escapeHtml(alt.locale)}" href="${escapeHtml(alt.url)}">`);
+    });
+    const xDefault = alternates.find((alt) => alt.isDefaultLocale);
+    if (xDefault) {
+      parts.push(`<link rel="alternate" hreflang="x-default" href="${escapeHtml(xDefault.url)}">`);
+    }
+  }
+  
+  // Feeds
+  (seoModel.feeds || []).forEach((feed) => {
+    parts.push(`<link rel="alternate" type="${feed.type}" title="${escapeHtml(feed.title)}" href="${escapeHtml(feed.url)}">`);
+  });
+  
   // Open Graph
-  // Convert language format from en-US to en_US for Open Graph
-  const ogLocale = site.language 
-    ? site.language.replace(/-/g, "_") 
-    : "en_US";
-  parts.push(`<meta property="og:locale" content="${ogLocale}">`);
+  const pageLocale = seoModel.locale || site.language;
+  parts.push(`<meta property="og:locale" content="${escapeHtml(pageLocale ? ogLocale(pageLocale) : "en_US")}">`);
+  alternates
+    .filter((alt) => alt.locale !== pageLocale)
+    .forEach((alt) => {
+      parts.push(`<meta property="og:locale:alternate" content="${escapeHtml(ogLocale(alt.locale))}">`);
+    });
   parts.push(`<meta property="og:type" content="${seoModel.postType}">`);
   if (site.name) {
     parts.push(`<meta property="og:site_name" content="${escapeHtml(site.name)}">`);
@@ -226,8 +228,10 @@ export function generateSeoHeadHtml(seoModel, site) {
   
   if (seoModel.image) {
     parts.push(`<meta property="og:image" content="${escapeHtml(seoModel.image)}">`);
-    parts.push(`<meta property="og:image:width" content="1200">`);
-    parts.push(`<meta property="og:image:height" content="630">`);
+    if (seoModel.imageWidth && seoModel.imageHeight) {
+      parts.push(`<meta property="og:image:width" content="${seoModel.imageWidth}">`);
+      parts.push(`<meta property="og:image:height" content="${seoModel.imageHeight}">`);
+    }
     parts.push(`<meta property="og:image:alt" content="${escapeHtml(seoModel.imageAlt)}">`);
   }
   
@@ -251,114 +255,18 @@ export function generateSeoHeadHtml(seoModel, site) {
  * Generate JSON-LD structured data
  * Returns JSON-LD script tag as HTML string
  */
-export function generateSeoJsonLd(seoModel, site) {
+export function generateSeoJsonLd(seoModel, site, options = defaultOptions) {
   if (seoModel.disableJsonLd) {
     return "";
   }
-  
-  const schema = {
-    "@context": "https://schema.org",
-  };
-  
-  if (seoModel.schemaType === "BlogPosting") {
-    schema["@type"] = "BlogPosting";
-    schema.headline = seoModel.title;
-    if (seoModel.description) {
-      schema.description = seoModel.description;
-    }
-    if (seoModel.image) {
-      schema.image = seoModel.image;
-    }
-    if (seoModel.author) {
-      schema.author = {
-        "@type": "Person",
-        name: seoModel.author,
-      };
-    }
-    if (site.name) {
-      schema.publisher = {
-        "@type": "Organization",
-        name: site.name,
-      };
-      if (site.logo) {
-        schema.publisher.logo = {
-          "@type": "ImageObject",
-          url: absoluteUrl(site.logo, site.url),
-        };
-      }
-    }
-    if (seoModel.datePublished) {
-      schema.datePublished = seoModel.datePublished;
-    }
-    if (seoModel.dateModified) {
-      schema.dateModified = seoModel.dateModified;
-    }
-    schema.mainEntityOfPage = {
-      "@type": "WebPage",
-      "@id": seoModel.url,
-    };
-    if (seoModel.tags && seoModel.tags.length > 0) {
-      schema.keywords = seoModel.tags.join(", ");
-    }
-  } else if (seoModel.schemaType === "WebSite") {
-    schema["@type"] = "WebSite";
-    if (site.name) {
-      schema.name = site.name;
-    }
-    if (site.url) {
-      schema.url = site.url;
-    }
-    if (site.description) {
-      schema.description = site.description;
-    }
-    if (site.name) {
-      schema.publisher = {
-        "@type": "Organization",
-        name: site.name,
-      };
-      if (site.logo) {
-        schema.publisher.logo = {
-          "@type": "ImageObject",
-          url: absoluteUrl(site.logo, site.url),
-        };
-      }
-    }
-  } else {
-    // WebPage (default)
-    schema["@type"] = "WebPage";
-    if (seoModel.title) {
-      schema.name = seoModel.title;
-    }
-    if (seoModel.description) {
-      schema.description = seoModel.description;
-    }
-    if (seoModel.url) {
-      schema.url = seoModel.url;
-    }
-  }
-  
-  return `<script type="application/ld+json">\n${JSON.stringify(schema, null, 2)}\n</script>`;
-}
 
-/**
- * Escape HTML entities
- */
-function escapeHtml(text) {
-  if (!text) return "";
-  const map = {
-    "&": "&amp;",
-    "<": "&lt;",
-    ">": "&gt;",
-    '"': "&quot;",
-    "'": "&#039;",
-  };
-  return String(text).replace(/[&<>"']/g, (m) => map[m]);
+  return jsonLdScript(buildSchemaGraph(seoModel, site, options.schema));
 }
 
 /**
  * Register SEO filters and shortcodes for Eleventy
  */
-export function register(eleventyConfig) {
+export function register(eleventyConfig, options = defaultOptions) {
   // Canonical URL filter (keep existing for backward compatibility)
   eleventyConfig.addFilter("canonical", (pageUrl, siteUrl) => {
     return absoluteUrl(pageUrl, siteUrl);
@@ -383,11 +291,24 @@ export function register(eleventyConfig) {
   // New: Build SEO model filter
   // Accepts page (with page.data containing frontmatter) and site
   // Optionally accepts a data object to override page.data (useful when frontmatter vars are in template context)
-  eleventyConfig.addFilter("seoModel", (page, site, data = null) => {
+  eleventyConfig.addFilter("seoModel", function(page, site, data = null) {
     // If data is provided, use it; otherwise use page.data
     // This allows passing frontmatter variables from template context
     const frontmatterData = data !== null ? data : (page?.data || {});
-    return buildSeoModel(page, site, frontmatterData);
+    // Computed data and structured data frontmatter fall back to the template context
+    const ctx = this?.ctx || {};
+    return buildSeoModel(page, site, {
+      ...frontmatterData,
+      locale: frontmatterData.locale ?? ctx.locale,
+      translations: frontmatterData.translations ?? ctx.translations,
+      breadcrumbs: frontmatterData.breadcrumbs ?? ctx.breadcrumbs,
+      faq: frontmatterData.faq ?? ctx.faq,
+      howto: frontmatterData.howto ?? ctx.howto,
+      software: frontmatterData.software ?? ctx.software,
+      schema: frontmatterData.schema ?? ctx.schema,
+      timezone: frontmatterData.timezone ?? ctx.timezone,
+      updatedAt: frontmatterData.updatedAt ?? ctx.updatedAt,
+    }, options);
   });
   
   // New: Generate SEO head HTML filter
@@ -397,20 +318,20 @@ export function register(eleventyConfig) {
   
   // New: Generate JSON-LD filter
   eleventyConfig.addFilter("seoJsonLd", (seoModel, site) => {
-    return generateSeoJsonLd(seoModel, site);
+    return generateSeoJsonLd(seoModel, site, options);
   });
   
   // New: Shortcode for SEO head (convenience)
   eleventyConfig.addShortcode("seoHead", function(page, site) {
     const data = page?.data || {};
-    const model = buildSeoModel(page, site, data);
+    const model = buildSeoModel(page, site, data, options);
     return generateSeoHeadHtml(model, site);
   });
   
   // New: Shortcode for JSON-LD (convenience)
   eleventyConfig.addShortcode("seoJsonLdShortcode", function(page, site) {
     const data = page?.data || {};
-    const model = buildSeoModel(page, site, data);
-    return generateSeoJsonLd(model, site);
+    const model = buildSeoModel(page, site, data, options);
+    return generateSeoJsonLd(model, site, options);
   });
 }
@@ -1,119 +1,40 @@
 import path from "node:path";
 import fs from "fs";
-import Image from "@11ty/eleventy-img";
+import { defaultOptions } from "./options.js";
+import { getImageService } from "./images.js";
+
+/**
+ * Shortcode arguments to image service settings
+ * The third parameter is either `sizes` or an object of attributes, preset and overrides
+ */
+function imageCallSettings(sizesOrAttrs, attrs = {}) {
+  if (typeof sizesOrAttrs === "object" && sizesOrAttrs !== null) {
+    return { ...sizesOrAttrs };
+  }
+  return { ...(attrs || {}), ...(sizesOrAttrs ? { sizes: sizesOrAttrs } : {}) };
+}
 
 // Unified image shortcode - ASYNC
-async function imageShortcode(src, alt = "", sizesOrAttrs = "100vw", attrs = {}) {
+// Usage: {% image "/assets/images/cover.jpg", "Alt text", { preset: "hero", widths: [800, 1600] } %}
+async function imageShortcode(imageOptions, src, alt = "", sizesOrAttrs, attrs = {}) {
   if (!src) {
     return "";
   }
   if (!alt) throw new Error(`Missing alt for ${src}`);
 
-  // Determine sizes and attributes based on third parameter type
-  let sizes = "100vw";
-  let htmlAttrs = {};
-  
-  if (typeof sizesOrAttrs === "string" || sizesOrAttrs === undefined) {
-    // Third param is sizes (string) or undefined
-    sizes = sizesOrAttrs || "100vw";
-    htmlAttrs = attrs || {};
-  } else if (typeof sizesOrAttrs === "object" && sizesOrAttrs !== null) {
-    // Third param is attributes object
-    sizes = "100vw";
-    htmlAttrs = sizesOrAttrs;
-  }
-
-  // Unified path resolution - handle different input patterns
-  let resolved;
-  if (src.startsWith('/')) {
-    // Absolute path from root - remove duplicate "website"
-    resolved = path.join(process.cwd(), "src", src.substring(1));
-  } else if (src.startsWith('content/')) {
-    // Content directory path
-    resolved = path.join(process.cwd(), "src", src);
-  } else if (src.startsWith('assets/')) {
-    // Assets directory path
-    resolved = path.join(process.cwd(), "src", src);
-  } else {
-    // Relative path - assume it's from src root
-    resolved = path.join(process.cwd(), "src", src);
-  }
-  
-  if (!fs.existsSync(resolved)) {
-    console.warn(`[imageShortcode] File not found: ${resolved}`);
-    const fallbackAttrs = { loading: "lazy", decoding: "async", ...htmlAttrs };
-    const attrsString = Object.entries(fallbackAttrs)
-      .map(([key, value]) => `${key}="${value}"`)
-      .join(" ");
-    return `<img src="${src}" alt="${alt}" ${attrsString}>`;
-  }
-
-  const metadata = await Image(resolved, {
-    widths: [320, 640, 960, 1280, null],
-    formats: ["avif", "webp"],
-    outputDir: "./_site/assets/images/",
-    urlPath: "/assets/images/",
-  });
-
-  return Image.generateHTML(metadata, {
-    alt,
-    sizes,
-    loading: "lazy",
-    decoding: "async",
-    ...htmlAttrs
+  return getImageService(imageOptions).html(src, alt, imageCallSettings(sizesOrAttrs, attrs), {
+    inputPath: this?.page?.inputPath,
   });
 }
 
 // Shortcode for images - SYNC (for cases where async is not possible)
-function imageShortcodeSync(src, alt = "", sizesOrAttrs = "100vw", attrs = {}) {
-  // Determine sizes and attributes based on third parameter type
-  let sizes = "100vw";
-  let htmlAttrs = {};
-  
-  if (typeof sizesOrAttrs === "string" || sizesOrAttrs === undefined) {
-    // Third param is sizes (string) or undefined
-    sizes = sizesOrAttrs || "100vw";
-    htmlAttrs = attrs || {};
-  } else if (typeof sizesOrAttrs === "object" && sizesOrAttrs !== null) {
-    // Third param is attributes object
-    sizes = "100vw";
-    htmlAttrs = sizesOrAttrs;
-  }
-
-  // Use same path resolution logic as async version
-  let resolved;
-  if (src.startsWith('/')) {
-    resolved = path.join(process.cwd(), "src", src.substring(1));
-  } else if (src.startsWith('content/')) {
-    resolved = path.join(process.cwd(), "src", src);
-  } else if (src.startsWith('assets/')) {
-    resolved = path.join(process.cwd(), "src", src);
-  } else {
-    resolved = path.join(process.cwd(), "src", src);
-  }
-
-  if (!fs.existsSync(resolved)) {
-    console.warn(`[imageShortcodeSync] File not found: ${resolved}`);
-    const fallbackAttrs = { loading: "lazy", decoding: "async", ...htmlAttrs };
-    const attrsString = Object.entries(fallbackAttrs)
-      .map(([key, value]) => `${key}="${value}"`)
-      .join(" ");
-    return `<img src="${src}" alt="${alt}" ${attrsString}>`;
+function imageShortcodeSync(imageOptions, src, alt = "", sizesOrAttrs, attrs = {}) {
+  if (!src) {
+    return "";
   }
 
-  const metadata = Image.statsSync(resolved, {
-    widths: [320, 640, 960, 1280, null],
-    formats: ["avif", "webp"],
-    outputDir: "./_site/assets/images/",
-    urlPath: "/assets/images/",
-  });
-  
-  return Image.generateHTML(metadata, { 
-    alt, 
-    sizes, 
-    loading: "lazy", 
-    decoding: "async",
-    ...htmlAttrs
+  return getImageService(imageOptions).htmlSync(src, alt, imageCallSettings(sizesOrAttrs, attrs), {
+    inputPath: this?.page?.inputPath,
   });
 }
 
@@ -155,9 +76,14 @@ function imageSimpleShortcode(src, alt, className = "") {
   return `<img src="${imagePath}" alt="${alt}" class="${className}" loading="lazy" decoding="async">`;
 }
 
-export default (cfg)=> {
-  cfg.addNunjucksAsyncShortcode("image", imageShortcode);
-  cfg.addNunjucksShortcode("imageSync", imageShortcodeSync);
+export default (cfg, options = defaultOptions)=> {
+  const { imageOptions } = options;
+  cfg.addNunjucksAsyncShortcode("image", function(...args) {
+    return imageShortcode.call(this, imageOptions, ...args);
+  });
+  cfg.addNunjucksShortcode("imageSync", function(...args) {
+    return imageShortcodeSync.call(this, imageOptions, ...args);
+  });
   cfg.addNunjucksShortcode("imageSimple", imageSimpleShortcode);
   cfg.addNunjucksShortcode("svg", svgShortcode);
 };
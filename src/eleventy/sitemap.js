@@ -0,0 +1,235 @@
+import fs from "fs";
+import { escapeHtml } from "./utils/html.js";
+import { absoluteUrl } from "./utils/url.js";
+import { largestImage } from "./images.js";
+import { parseDate } from "./utils/dates.js";
+
+/**
+ * sitemap.xml (split into a sitemap index past `maxUrls`) and robots.txt
+ */
+
+// Limit of the sitemap protocol
+const MAX_URLS = 50000;
+
+// Page URL -> URLs of the images processed in its content (see recordPageImages)
+const pageImages = new Map();
+
+// Stands for the image entries of a page until every page went through the image transform
+// ("<!-- quesby-images <page URL> <site URL> -->", both URI-encoded)
+const IMAGES_MARKER = /^ *<!-- quesby-images (\S+) (\S*) -->\n/gm;
+
+/**
+ * Pages listed in the sitemap (the `sitemap` collection)
+ */
+export function isSitemapPage(page) {
+  if (!page.url) return false;
+  if (page.data.eleventyExcludeFromCollections) return false;
+  if (page.data.noindex) return false;
+  if (page.url === "/404.html") return false;
+  if (page.url.startsWith("/admin")) return false;
+  if (page.url.endsWith("xml")) return false;
+  if (page.url.endsWith("json")) return false;
+  return true;
+}
+
+/**
+ * Whether this build is a staging build (robots.txt disallows everything)
+ */
+export function isStaging(settings) {
+  const flag = String(process.env[settings.stagingEnv] || "").trim().toLowerCase();
+  return ["1", "true", "yes"].includes(flag);
+}
+
+/**
+ * Last modification of a page (a DateTime in the page's timezone, or `timezone`): `lastUpdated`,
+ * else the latest of `date` and the last change of its source file (`updatedAt`, or `history`:
+ * inputPath -> date, set when features.history is on)
+ */
+export function lastModified(page, { timezone = "utc", history = null } = {}) {
+  const zone = page.data.timezone || timezone;
+  const updated = parseDate(page.data.lastUpdated, zone);
+  if (updated) return updated;
+  const dates = [
+    parseDate(page.data.date, zone),
+    parseDate(page.data.updatedAt, zone) || (history && page.inputPath ? parseDate(history(page.inputPath), zone) : null),
+  ].filter(Boolean);
+  return dates.sort((a, b) => b.toMillis() - a.toMillis())[0] || null;
+}
+
+/**
+ * Keep the images processed by the image transform in a page's content, at their largest size
+ */
+export function recordPageImages(url, metadata) {
+  if (!url) return;
+  const urls = metadata.map((entry) => largestImage(entry)?.url).filter(Boolean);
+  pageImages.set(url, Array.from(new Set(urls)));
+}
+
+/**
+ * Replace the image markers of a rendered sitemap with the recorded image entries
+ */
+export function fillImageEntries(xml) {
+  return xml.replace(IMAGES_MARKER, (marker, url, siteUrl) =>
+    (pageImages.get(decodeURIComponent(url)) || [])
+      .map((image) => `    <image:image><image:loc>${escapeHtml(absoluteUrl(image, decodeURIComponent(siteUrl)))}</image:loc></image:image>\n`)
+      .join("")
+  );
+}
+
+/**
+ * One <url> entry
+ */
+function urlEntry(page, site, options, dates) {
+  const loc = absoluteUrl(page.url, site.url);
+  const modified = lastModified(page, dates);
+  const lines = [`  <url>`, `    <loc>${escapeHtml(loc)}</loc>`];
+  if (modified) {
+    lines.push(`    <lastmod>${modified.toFormat("yyyy-MM-dd")}</lastmod>`);
+  }
+
+  // hreflang alternates of translated pages, including the page itself
+  const translations = Array.isArray(page.data.translations) ? page.data.translations : [];
+  if (translations.length > 1) {
+    for (const translation of translations) {
+      lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeHtml(translation.locale)}" href="${escapeHtml(absoluteUrl(translation.url, site.url))}"/>`);
+    }
+    const xDefault = translations.find((translation) => translation.isDefaultLocale);
+    if (xDefault) {
+      lines.push(`    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeHtml(absoluteUrl(xDefault.url, site.url))}"/>`);
+    }
+  }
+
+  // Images are only known once the pages are written (see register)
+  if (options.sitemap.images && options.features?.imageTransform) {
+    lines.push(`    <!-- quesby-images ${encodeURIComponent(page.url)} ${encodeURIComponent(site.url || "")} -->`);
+  }
+
+  lines.push(`  </url>`);
+  return lines.join("\n");
+}
+
+/**
+ * `dates`: { timezone, history } of the site, see lastModified
+ */
+export function renderUrlset(pages, site, options, dates = {}) {
+  const entries = pages.map((page) => urlEntry(page, site, options, dates));
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">`,
+    ...entries,
+    `</urlset>`,
+  ].join("\n");
+}
+
+export function renderSitemapIndex(sitemaps, site, dates = {}) {
+  const entries = sitemaps.map((sitemap) => {
+    const modified = sitemap.pages
+      .map((page) => lastModified(page, dates))
+      .filter(Boolean)
+      .sort((a, b) => b.toMillis() - a.toMillis())[0];
+    return [
+      `  <sitemap>`,
+      `    <loc>${escapeHtml(absoluteUrl(sitemap.url, site.url))}</loc>`,
+      modified ? `    <lastmod>${modified.toFormat("yyyy-MM-dd")}</lastmod>` : "",
+      `  </sitemap>`,
+    ].filter(Boolean).join("\n");
+  });
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...entries,
+    `</sitemapindex>`,
+  ].join("\n");
+}
+
+/**
+ * Files of the sitemap: a single urlset at `path`, or past `maxUrls` numbered
+ * urlsets (sitemap-1.xml, sitemap-2.xml...) and a sitemap index at `path`
+ * Each file: { url, pages } for urlsets, { url, sitemaps } for the index
+ */
+export function sitemapFiles(pages, settings) {
+  const size = Math.min(settings.maxUrls, MAX_URLS);
+  if (pages.length <= size) {
+    return [{ url: settings.path, pages }];
+  }
+
+  const sitemaps = [];
+  for (let i = 0; i < pages.length; i += size) {
+    sitemaps.push({ url: settings.path.replace(/\.xml$/, `-${sitemaps.length + 1}.xml`), pages: pages.slice(i, i + size) });
+  }
+  return [{ url: settings.path, sitemaps }, ...sitemaps];
+}
+
+/**
+ * robots.txt: crawling allowed (but `disallow`) with the sitemap, or disallowed
+ * entirely on staging builds and sites with `noindex` in site.json
+ * Pages with `noindex` frontmatter stay crawlable: crawlers must fetch them to read their noindex meta
+ */
+export function renderRobots(site, options) {
+  const settings = options.sitemap;
+  if (isStaging(settings) || site.noindex) {
+    return "User-agent: *\nDisallow: /\n";
+  }
+
+  const lines = ["User-agent: *"];
+  if (settings.disallow.length > 0) {
+    lines.push(...settings.disallow.map((path) => `Disallow: ${path}`));
+  } else {
+    lines.push("Disallow:");
+  }
+  if (site.url) {
+    lines.push("", `Sitemap: ${absoluteUrl(settings.path, site.url)}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Register the sitemap, sitemap index and robots.txt templates
+ * Image entries come from the image transform: they are filled in once every page is written
+ */
+export function register(eleventyConfig, options, dates = {}) {
+  const settings = options.sitemap;
+
+  eleventyConfig.addCollection("sitemapFiles", (collectionApi) =>
+    sitemapFiles(collectionApi.getAll().filter(isSitemapPage), settings)
+  );
+
+  eleventyConfig.addTemplate("quesby-sitemap.11ty.js", {
+    data: {
+      pagination: { data: "collections.sitemapFiles", size: 1, alias: "sitemap", addAllPagesToCollections: false },
+      permalink: (data) => data.sitemap.url,
+      eleventyExcludeFromCollections: true,
+      layout: false,
+    },
+    render(data) {
+      const site = data.site || {};
+      if (!site.url) console.warn("⚠️ site.url is not set: sitemap URLs are relative");
+      if (data.sitemap.sitemaps) {
+        const urls = data.sitemap.sitemaps.reduce((count, sitemap) => count + sitemap.pages.length, 0);
+        console.log(`[🗺️] Sitemap index: ${data.sitemap.sitemaps.length} sitemaps, ${urls} URLs`);
+        return renderSitemapIndex(data.sitemap.sitemaps, site, dates);
+      }
+      return renderUrlset(data.sitemap.pages, site, options, dates);
+    },
+  });
+
+  eleventyConfig.on("eleventy.after", ({ results = [] }) => {
+    for (const result of results) {
+      if (!result.outputPath || !result.content?.includes("<!-- quesby-images ")) continue;
+      fs.writeFileSync(result.outputPath, fillImageEntries(result.content));
+    }
+  });
+
+  if (settings.robots) {
+    eleventyConfig.addTemplate("quesby-robots.11ty.js", {
+      data: {
+        permalink: settings.robotsPath,
+        eleventyExcludeFromCollections: true,
+        layout: false,
+      },
+      render(data) {
+        return renderRobots(data.site || {}, options);
+      },
+    });
+  }
+}
@@ -0,0 +1,265 @@
+import * as cheerio from "cheerio";
+import { escapeHtml } from "./utils/html.js";
+
+/**
+ * Heading IDs and table of contents
+ * Enabled per content type (toc.collections) or per page with `toc` frontmatter:
+ *
+ *   toc: true
+ *   toc: false
+ *   toc: { levels: [2, 3, 4], anchors: true, title: "Contents" }
+ *
+ * Markdown headings get their IDs in the markdown processor (the `headings` stage), which also
+ * collects the page's `tableOfContents`; the transform then handles the rest of the page.
+ */
+
+const PAGE_KEYS = ["levels", "anchors", "title"];
+
+// Resolved settings of every page, filled while computed data is resolved and read by the transform
+const pageSettings = new Map(); // inputPath -> settings | null
+
+/**
+ * Unicode-friendly heading slug: letters and digits of any script are kept
+ */
+export function headingSlug(text) {
+  return String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, "")
+    .trim()
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Slug generator returning unique IDs: "setup", "setup-1", "setup-2"
+ */
+export function createSlugger(reserved = []) {
+  const seen = new Set(reserved);
+  return (text) => {
+    const base = headingSlug(text) || "section";
+    let id = base;
+    for (let n = 1; seen.has(id); n++) id = `${base}-${n}`;
+    seen.add(id);
+    return id;
+  };
+}
+
+/**
+ * Nest a flat list of { id, text, level } headings: deeper levels become children
+ */
+export function buildTocTree(headings) {
+  const root = [];
+  const stack = [];
+  for (const heading of headings) {
+    const item = { ...heading, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= item.level) stack.pop();
+    (stack.length > 0 ? stack[stack.length - 1].children : root).push(item);
+    stack.push(item);
+  }
+  return root;
+}
+
+/**
+ * Nested <ul> of a TOC tree
+ */
+export function tocListHtml(items, indent = "  ") {
+  if (!Array.isArray(items) || items.length === 0) return "";
+  const entries = items.map((item) => {
+    const children = tocListHtml(item.children, `${indent}    `);
+    return `${indent}  <li>\n${indent}    <a href="#${escapeHtml(item.id)}">${escapeHtml(item.text)}</a>\n` +
+      `${children ? `${children}\n` : ""}${indent}  </li>`;
+  });
+  return `${indent}<ul>\n${entries.join("\n")}\n${indent}</ul>`;
+}
+
+/**
+ * TOC settings of a page, or null when it has no TOC
+ */
+export function tocSettings(settings, data, contentType) {
+  const value = data.toc;
+  if (value === false) return null;
+  if (value !== true && (value === undefined || value === null) && !settings.collections.includes(contentType)) {
+    return null;
+  }
+
+  const resolved = { levels: settings.levels, anchors: settings.anchors, title: settings.title };
+  if (value && typeof value === "object") {
+    for (const key of PAGE_KEYS) {
+      if (value[key] !== undefined) resolved[key] = value[key];
+    }
+  }
+  resolved.levels = (Array.isArray(resolved.levels) ? resolved.levels : [resolved.levels])
+    .map(Number)
+    .filter((level) => level >= 1 && level <= 6);
+  return resolved;
+}
+
+/**
+ * Headings of a document listed in the TOC: the given levels, outside <nav>, <header>,
+ * <footer> and [data-toc-ignore]
+ */
+function tocCandidates($, levels) {
+  const levelSelector = levels.map((level) => `h${level}`).join(", ");
+  if (!levelSelector) return [];
+  return $(levelSelector).filter((i, element) =>
+    $(element).closest("nav, header, footer, [data-toc-ignore]").length === 0
+  ).toArray();
+}
+
+function pageIds($) {
+  return $("[id]").map((i, element) => $(element).attr("id")).get();
+}
+
+/**
+ * Text of a heading without its self-link anchor
+ */
+function headingText($heading) {
+  return $heading.clone().find("a.heading-anchor").remove().end().text().trim();
+}
+
+function anchorHtml(id, text) {
+  return `<a class="heading-anchor" href="#${escapeHtml(id)}" aria-label="${escapeHtml(`Link to this section: ${text}`)}">#</a>`;
+}
+
+/**
+ * Text of a hast node; hidden nodes and TeX annotations of math are left out
+ */
+function hastText(node) {
+  if (node.type === "text") return node.value;
+  if (node.type !== "element" || node.properties?.ariaHidden === "true" || node.tagName === "annotation") return "";
+  return (node.children || []).map(hastText).join("");
+}
+
+/**
+ * Rehype plugin giving unique IDs (and self-link anchors) to the headings of a page with a TOC
+ * The page's settings come in `file.data.toc`; its headings are left in `file.data.headings`
+ */
+export function rehypeHeadings() {
+  return (tree, file) => {
+    const settings = file.data.toc;
+    if (!settings || settings.levels.length === 0) return;
+
+    const ids = [];
+    const candidates = [];
+    const visit = (node, ignored) => {
+      // Inline HTML is left as is (its headings are handled by the transform): only keep its IDs
+      if (node.type === "raw") {
+        for (const [, id] of node.value.matchAll(/\sid=["']?([^"'\s>]+)/g)) ids.push(id);
+        return;
+      }
+      if (node.type !== "element" && node.type !== "root") return;
+      if (node.properties?.id) ids.push(String(node.properties.id));
+      const level = /^h[1-6]$/.test(node.tagName) ? Number(node.tagName.slice(1)) : 0;
+      if (!ignored && settings.levels.includes(level)) candidates.push({ node, level });
+      const ignore = ignored || ["nav", "header", "footer"].includes(node.tagName) || node.properties?.dataTocIgnore !== undefined;
+      (node.children || []).forEach((child) => visit(child, ignore));
+    };
+    visit(tree, false);
+
+    // IDs written by hand are kept and never reused
+    const slug = createSlugger(ids);
+    file.data.headings = candidates.map(({ node, level }) => {
+      const text = hastText(node).trim();
+      if (!node.properties.id) node.properties.id = slug(text);
+      const id = String(node.properties.id);
+      if (settings.anchors) {
+        node.children.push(
+          { type: "text", value: " " },
+          {
+            type: "element",
+            tagName: "a",
+            properties: { className: ["heading-anchor"], href: `#${id}`, ariaLabel: `Link to this section: ${text}` },
+            children: [{ type: "text", value: "#" }],
+          }
+        );
+      }
+      return { id, text, level };
+    });
+  };
+}
+
+/**
+ * Add IDs (and self-link anchors) to the headings of an HTML page and fill its TOC placeholder
+ * Headings inside <nav>, <header>, <footer> or [data-toc-ignore] are left out; those rendered
+ * from markdown already have their IDs and anchors
+ */
+export function processHeadings(html, settings, selector) {
+  if (settings.levels.length === 0) return { html, headings: [] };
+  const $ = cheerio.load(html);
+
+  // IDs already in the page (written by hand, by a layout or by the markdown processor) are never reused
+  const slug = createSlugger(pageIds($));
+  const headings = [];
+
+  tocCandidates($, settings.levels).forEach((element) => {
+    const $heading = $(element);
+    const text = headingText($heading);
+    let id = $heading.attr("id");
+    if (!id) {
+      id = slug(text);
+      $heading.attr("id", id);
+    }
+    if (settings.anchors && $heading.find("a.heading-anchor").length === 0) {
+      $heading.append(` ${anchorHtml(id, text)}`);
+    }
+    headings.push({ id, text, level: Number(element.tagName.slice(1)) });
+  });
+
+  const tree = buildTocTree(headings);
+  $(selector).each((i, element) => {
+    const $placeholder = $(element);
+    const className = $placeholder.attr("class") || "toc";
+    if (tree.length === 0) {
+      $placeholder.remove();
+      return;
+    }
+    $placeholder.replaceWith(
+      `<nav class="${escapeHtml(className)}" aria-label="${escapeHtml(settings.title)}">\n` +
+      `  <h3>${escapeHtml(settings.title)}</h3>\n${tocListHtml(tree)}\n</nav>`
+    );
+  });
+
+  return { html: $.html(), headings };
+}
+
+/**
+ * Computed data: `tableOfContents`, the nested TOC of the page, empty until the markdown
+ * processor collects its headings (see rehypeHeadings), and always empty when disabled
+ */
+export function tocComputedData(options, contentTypeOf) {
+  return {
+    tableOfContents: (data) => {
+      const inputPath = data.page?.inputPath;
+      if (!inputPath) return [];
+      const settings = options.features.headingIds ? tocSettings(options.toc, data, contentTypeOf(inputPath)) : null;
+      pageSettings.set(inputPath, settings);
+      return [];
+    },
+  };
+}
+
+/**
+ * TOC settings of a page (see tocComputedData), or null when it has no TOC
+ */
+export function pageTocSettings(inputPath) {
+  return pageSettings.get(inputPath) || null;
+}
+
+/**
+ * Register the heading transform and the `tocHtml` filter
+ */
+export function register(eleventyConfig, options) {
+  const { selector } = options.toc;
+
+  // Usage: {{ tableOfContents | tocHtml | safe }}
+  eleventyConfig.addFilter("tocHtml", (items) => tocListHtml(items, ""));
+
+  eleventyConfig.addTransform("addHeadingIdsAndTOC", function (content, outputPath) {
+    if (!outputPath || !outputPath.endsWith(".html")) return content;
+    const settings = pageSettings.get(this.page?.inputPath);
+    if (!settings) return content;
+
+    return processHeadings(content, settings, selector).html;
+  });
+}
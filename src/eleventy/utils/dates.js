@@ -0,0 +1,80 @@
+import { DateTime } from "luxon";
+
+/**
+ * Date parsing and locale settings shared by the date and number filters
+ */
+
+// Non-ISO formats accepted in frontmatter and data files, tried in order
+const DATE_FORMATS = [
+  "yyyy/MM/dd",
+  "yyyy/MM/dd HH:mm",
+  "dd/MM/yyyy",
+  "dd.MM.yyyy",
+  "d LLLL yyyy",
+  "d LLL yyyy",
+  "LLLL d, yyyy",
+  "LLL d, yyyy",
+];
+
+/**
+ * Locale with "_" normalized to "-" ("en_US" -> "en-US"), falling back to its
+ * language ("xx-YY" -> "xx") and then to `fallback` when Intl doesn't know it
+ */
+export function normalizeLocale(locale, fallback = "en-US") {
+  if (!locale || typeof locale !== "string" || !locale.trim()) return fallback;
+  const normalized = locale.trim().replace(/_/g, "-");
+  for (const candidate of [normalized, normalized.split("-")[0]]) {
+    try {
+      if (Intl.DateTimeFormat.supportedLocalesOf(candidate).length > 0) return candidate;
+    } catch {
+      // Malformed tag
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Locale, timezone and currency of the site: core options first, then site.json
+ */
+export function resolveLocaleSettings(options, site = {}) {
+  const locale = normalizeLocale(options.locale || site.locale || site.language);
+  const timezone = options.timezone || site.timezone || "utc";
+  if (!DateTime.now().setZone(timezone).isValid) {
+    throw new Error(`❌ Unknown timezone "${timezone}" (expected an IANA name like "Europe/Rome")`);
+  }
+  const currency = String(options.currency || site.currency || "USD").toUpperCase();
+  return { locale, timezone, currency };
+}
+
+/**
+ * Luxon DateTime of a Date, timestamp or date string in `zone`, or null when it can't be parsed
+ *
+ * Dates at exactly midnight UTC are how Eleventy and YAML read day-only dates ("2024-05-01"):
+ * they keep their calendar day in `zone` instead of shifting to the day before west of UTC
+ */
+export function parseDate(value, zone = "utc") {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "function") return parseDate(value(), zone);
+  if (DateTime.isDateTime(value)) return value.isValid ? value.setZone(zone) : null;
+
+  if (value instanceof Date || typeof value === "number") {
+    const dt = DateTime.fromMillis(Number(value), { zone: "utc" });
+    if (!dt.isValid) return null;
+    const dayOnly = dt.hour === 0 && dt.minute === 0 && dt.second === 0 && dt.millisecond === 0;
+    return dayOnly ? dt.setZone(zone, { keepLocalTime: true }) : dt.setZone(zone);
+  }
+
+  const text = String(value).trim();
+  const candidates = [
+    () => DateTime.fromISO(text, { zone }),
+    () => DateTime.fromRFC2822(text, { zone }),
+    () => DateTime.fromHTTP(text, { zone }),
+    () => DateTime.fromSQL(text, { zone }),
+    ...DATE_FORMATS.map((format) => () => DateTime.fromFormat(text, format, { zone, locale: "en" })),
+  ];
+  for (const candidate of candidates) {
+    const dt = candidate();
+    if (dt.isValid) return dt;
+  }
+  return null;
+}
@@ -0,0 +1,31 @@
+/**
+ * HTML utility functions shared by generated markup
+ */
+
+/**
+ * Escape HTML entities
+ */
+export function escapeHtml(text) {
+  if (!text) return "";
+  const map = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  };
+  return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
+
+/**
+ * Decode the entities of an attribute value written by rehype-stringify
+ */
+export function unescapeHtml(text) {
+  if (!text) return "";
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  return String(text).replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (m, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return named[name.toLowerCase()];
+  });
+}
@@ -0,0 +1,49 @@
+import fs from "fs";
+import path from "node:path";
+
+/**
+ * Helpers for checks run over the built site
+ */
+
+/**
+ * Files of the output folder with one of `extensions`, sorted
+ */
+export function listOutputFiles(dir, extensions = [".html"]) {
+  const files = [];
+  const walk = (folder) => {
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      const file = path.join(folder, entry.name);
+      if (entry.isDirectory()) walk(file);
+      else if (extensions.includes(path.extname(entry.name).toLowerCase())) files.push(file);
+    }
+  };
+  if (fs.existsSync(dir)) walk(dir);
+  return files.sort();
+}
+
+/**
+ * URL of an output file: "blog/post/index.html" -> "/blog/post/"
+ */
+export function urlOfFile(dir, file) {
+  const url = `/${path.relative(dir, file).split(path.sep).join("/")}`;
+  return url.endsWith("/index.html") ? url.slice(0, -"index.html".length) : url;
+}
+
+/**
+ * Output file served at a URL path ("/blog/post/" -> blog/post/index.html), or null
+ */
+export function fileOfUrl(dir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  const file = path.join(dir, decoded);
+  // Paths can't leave the output folder
+  if (path.relative(dir, file).startsWith("..")) return null;
+
+  const candidates = decoded.endsWith("/") ? [path.join(file, "index.html")] : [file, path.join(file, "index.html")];
+  return candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Content Lint Script
+ *
+ * Validates frontmatter and markdown of posts and documentation:
+ * - Required fields (title, date, slug)
+ * - ULID folder names and duplicate slugs
+ * - Unknown frontmatter keys and malformed dates
+ * - Missing images and images without alt text
+ *
+ * Uses the collections, image and lint options of the site (quesby.config.js), as the build does.
+ * Exits with code 1 when errors are found (or warnings, with --strict).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { lintContent, formatDiagnostics } from '../eleventy/lint.js';
+import { loadSiteOptions } from '../eleventy/options.js';
+import { resolveI18n, localizeGlobs } from '../eleventy/i18n.js';
+
+const JSON_OUTPUT = process.argv.includes('--json');
+const STRICT = process.argv.includes('--strict');
+
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+if (process.argv.includes('--help')) {
+  console.log('Quesby Content Lint');
+  console.log('\nUsage:');
+  console.log('  quesby-lint [options]');
+  console.log('\nOptions:');
+  console.log('  --json               Print diagnostics as JSON');
+  console.log('  --strict             Exit with an error on warnings too');
+  console.log('  --locales=en,it      Locales of a multilingual site (default: i18n.locales)');
+  console.log('  --allow=key1,key2    Extra frontmatter keys to accept (besides lint.allowedKeys)');
+  console.log('  --options=file       Quesby options file (default: quesby.config.js)');
+  console.log('  --help               Show this help message');
+  process.exit(0);
+}
+
+// Site language is the default locale, as in the Eleventy config
+const sitePath = path.resolve(process.cwd(), 'src/_data/site.json');
+const site = fs.existsSync(sitePath) ? JSON.parse(fs.readFileSync(sitePath, 'utf-8')) : {};
+
+// Same collections, image and lint settings as the build; flags extend them
+const options = await loadSiteOptions(getArgValue('options'));
+const locales = getArgValue('locales');
+const allow = getArgValue('allow');
+if (locales) options.i18n = { ...options.i18n, locales: locales.split(',') };
+if (allow) options.lint = { ...options.lint, allowedKeys: [...options.lint.allowedKeys, ...allow.split(',')] };
+const i18n = resolveI18n(options, site);
+
+const diagnostics = lintContent({
+  collections: {
+    posts: localizeGlobs(i18n, options.collections.posts),
+    documentation: localizeGlobs(i18n, options.collections.documentation)
+  },
+  i18n,
+  settings: options.lint,
+  imageOptions: options.imageOptions
+});
+
+console.log(formatDiagnostics(diagnostics, JSON_OUTPUT ? 'json' : 'text'));
+
+const failing = diagnostics.filter(d => d.severity === 'error' || STRICT);
+process.exit(failing.length > 0 ? 1 : 0);
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Content Sync Script
+ *
+ * Syncs the external content folder into src/content as the build does in the "copy" mode,
+ * with the contentPath and contentSync options of the site (quesby.config.js):
+ * - Copies new and changed files (size, then mtime, then content hash)
+ * - Deletes local files removed from the content folder
+ *
+ * With --dry-run, only lists what would change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { resolveContentPaths, syncContent, formatSyncPlan } from '../eleventy/content.js';
+import { loadSiteOptions } from '../eleventy/options.js';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const KEEP = process.argv.includes('--keep');
+const DELETE = process.argv.includes('--delete');
+
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+if (process.argv.includes('--help')) {
+  console.log('Quesby Content Sync');
+  console.log('\nUsage:');
+  console.log('  quesby-sync [options]');
+  console.log('\nOptions:');
+  console.log('  --dry-run            List the changes without applying them');
+  console.log('  --delete             Delete local files removed from the content folder');
+  console.log('  --keep               Keep local files removed from the content folder');
+  console.log('  --options=file       Quesby options file (default: quesby.config.js)');
+  console.log('  --help               Show this help message');
+  process.exit(0);
+}
+
+dotenv.config();
+
+// Same contentPath and contentSync settings as the build
+const options = await loadSiteOptions(getArgValue('options'));
+const settings = { ...options.contentSync, ...(KEEP ? { delete: false } : DELETE ? { delete: true } : {}) };
+
+const sitePath = path.resolve(process.cwd(), 'src/_data/site.json');
+const site = fs.existsSync(sitePath) ? JSON.parse(fs.readFileSync(sitePath, 'utf-8')) : {};
+const paths = resolveContentPaths(options, site);
+
+if (!fs.existsSync(paths.source)) {
+  console.error(`❌ Content path not found: ${paths.source}`);
+  process.exit(1);
+}
+if (!paths.external) {
+  console.log(`✅ Content is read in place from ${paths.local}: nothing to sync`);
+  process.exit(0);
+}
+if (fs.lstatSync(paths.local, { throwIfNoEntry: false })?.isSymbolicLink()) {
+  console.log(`✅ ${paths.local} is a link to the content folder (symlink mode): nothing to sync`);
+  process.exit(0);
+}
+
+console.log(`🔄 ${paths.source} → ${paths.local}`);
+const plan = syncContent(paths, settings, { dryRun: DRY_RUN });
+console.log(formatSyncPlan(plan, { dryRun: DRY_RUN, verbose: true }));